@@ -1,68 +1,252 @@
 const fs   = require('fs');
 const path = require('path');
+const { hasErrors, formatReport }                             = require('./lib/schema');
+const { readContent }                                         = require('./lib/content');
+const { buildDerivatives, DERIVED_DIR }                       = require('./lib/images');
+const { buildVideos }                                         = require('./lib/videos');
+const { buildPages, PAGES_DIR }                               = require('./lib/pages');
+const { loadSettings }                                        = require('./lib/settings');
+const { buildFeeds }                                          = require('./lib/feeds');
+const { buildIndex, CHUNK_DIR }                               = require('./lib/chunks');
+const { openCache, CACHE_DIR }                                = require('./lib/cache');
+const { deriveLight }                                         = require('./lib/sun');
+const { timezoneOf, isoTimestamp, dateIn }                    = require('./lib/time');
+const { createProvider, enrichWeather }                       = require('./lib/weather');
+const { updateManifest, resolveRotation }                     = require('./lib/hero');
+const { loadLocations, formatUnknown, mainImage }             = require('./lib/locations');
+const { loadCollections, resolveCollections, formatProblems } = require('./lib/collections');
+const { computeStats }                                        = require('./lib/stats');
+const { buildBursts, findOrphans, formatAudit }               = require('./lib/bursts');
+const { buildColours, summariseColours }                      = require('./lib/colours');
+const { assignSlugs, compareTime, normaliseImage }            = require('./lib/model');
 
-const DAYS_DIR      = path.join(__dirname, 'content', 'days');
-const OUTPUT        = path.join(__dirname, 'content', 'index.json');
-const HERO_MANIFEST = path.join(__dirname, 'hero-manifest.json');
+// Usage:
+//   node build.js [--strict] [--clean]            build content/index.json
+//                 [--weather <name>]              and content/index/*.json
+//                 [--fetch-videos]
+//                 [--serve] [--port <n>] [--watch]
+//   node build.js audit [--weather <name>]        build, then list likely duplicate
+//                                                 frames and orphaned uploads
+//   node build.js migrate --to days|sidecars      convert content/days layout
+//                 [--dry-run]
+//   node build.js ingest <folder> [--dry-run]     import camera files by EXIF
+//                 [--location "<name>"]           (see lib/ingest.js)
+//   node --test                                   run test/ (unit tests and a
+//                                                 build over test/fixtures)
+//
+// --strict → any schema error fails the build (exit 1) instead of
+// skipping the sidecar, so a bad Shortcut upload stops the deploy.
+// --clean → drop the build cache and generated files first, for a
+// full rebuild (see lib/cache.js)
+// --weather → openweathermap | fixture | none (see lib/weather.js)
+// --fetch-videos → download R2 videos with no local copy, so they
+// get posters and previews (see lib/videos.js)
+// --serve → after building, serve the site and a local stand-in for
+// the print order function on --port (default 8888; see lib/serve.js)
+// --watch → with --serve, rebuild on changes and live-reload open
+// pages, with build warnings shown in the page (see lib/serve.js)
+// --root <dir> → build (or ingest / migrate) the site in <dir> instead
+// of this folder; the tests point it at a copy of test/fixtures
+const ARGS    = process.argv.slice(2);
+const COMMAND = ARGS[0] && !ARGS[0].startsWith('--') ? ARGS[0] : 'build';
+const STRICT  = ARGS.includes('--strict');
+const CLEAN   = ARGS.includes('--clean');
 
-if (!fs.existsSync(path.join(__dirname, 'content'))) {
-  fs.mkdirSync(path.join(__dirname, 'content'), { recursive: true });
+// Value following a flag: argValue('--to') for `--to days`
+function argValue(flag) {
+  const i = ARGS.indexOf(flag);
+  return i === -1 ? undefined : ARGS[i + 1];
+}
+
+const ROOT     = argValue('--root') ? path.resolve(argValue('--root')) : __dirname;
+const DAYS_DIR = path.join(ROOT, 'content', 'days');
+
+if (!fs.existsSync(path.join(ROOT, 'content'))) {
+  fs.mkdirSync(path.join(ROOT, 'content'), { recursive: true });
 }
 if (!fs.existsSync(DAYS_DIR)) {
   fs.mkdirSync(DAYS_DIR, { recursive: true });
 }
 
-function deriveTag(time) {
-  if (!time) return 'sunrise';
-  const [h, m] = time.split(':').map(Number);
-  return (h + m / 60) < 12 ? 'sunrise' : 'sunset';
-}
+// `clean` → as --clean; watch-mode rebuilds never clean
+// → { bursts, orphans } for the audit command (see lib/bursts.js)
+async function build({ clean = CLEAN } = {}) {
+  if (clean) {
+    for (const dir of [CACHE_DIR, DERIVED_DIR, PAGES_DIR, CHUNK_DIR]) {
+      fs.rmSync(path.join(ROOT, dir), { recursive: true, force: true });
+    }
+  }
 
-// dayMap: date string -> { date, location, images[] }
-const dayMap       = {};
-const heroManifest = [];
+  const settings = loadSettings(ROOT);
+  const provider = createProvider(argValue('--weather'));
+  const cache    = openCache(ROOT);
+  const { files, entries, records, report } = readContent(DAYS_DIR, ROOT);
+  const sidecars = cache.trackInputs('sidecars', files.map(f => `content/days/${f}`));
 
-const files = fs.existsSync(DAYS_DIR)
-  ? fs.readdirSync(DAYS_DIR).filter(f => f.endsWith('.json')).sort()
-  : [];
+  if (report.length) console.warn(formatReport(report, files.length) + '\n');
+  if (STRICT && report.some(r => hasErrors(r.issues))) {
+    throw new Error('fix the sidecar errors above (running with --strict)');
+  }
 
-for (const file of files) {
-  try {
-    const raw  = fs.readFileSync(path.join(DAYS_DIR, file), 'utf8');
-    const data = JSON.parse(raw);
+  // Locations normalised against content/locations.json; an image
+  // without GPS takes its place's coordinates and time zone
+  const registry = loadLocations(ROOT);
+  const placed   = registry.placeRecords(records);
+  if (placed.unknown.size) console.warn(formatUnknown(placed.unknown) + '\n');
 
-    if (!data.src) { console.warn(`Skipping ${file}: no src field`); continue; }
-    const date = data.date;
-    if (!date) { console.warn(`Skipping ${file}: no date field`); continue; }
+  // dayMap: date string -> { date, location, location_id, timezone, lat?, lng?, images[] }
+  // Each image carries its IANA `timezone` and a full ISO `timestamp`
+  // with that zone's offset, so site.js never has to guess the zone,
+  // and the `sidecar` it came from, for print fulfilment. hero is a
+  // plain boolean from here on (normaliseImage, lib/model.js).
+  const dayMap = {};
 
-    const img = { ...data, tag: data.tag || deriveTag(data.time) };
+  for (const { file, record } of placed.records) {
+    const date     = record.date;
+    const timezone = timezoneOf(record, settings);
+    const img      = normaliseImage({
+      ...record,
+      sidecar:   `content/days/${file}`,
+      timezone,
+      timestamp: isoTimestamp(record.date, record.time, timezone),
+      ...deriveLight({ ...record, timezone }, settings),
+    });
 
-    if (!dayMap[date]) dayMap[date] = { date, location: data.location || '', images: [] };
+    if (!dayMap[date]) dayMap[date] = { date, images: [] };
     dayMap[date].images.push(img);
+  }
 
-    if (img.hero === true || img.hero === 'true') {
-      heroManifest.push({ src: img.src, sidecar: `content/days/${file}` });
-    }
-  } catch (e) {
-    console.warn(`Skipping ${file}: ${e.message}`);
+  // Sort each day's images by time ascending (direct string comparison),
+  // then take the day's location from the place most of them share
+  // (day entries' images inherit the entry's, see lib/content.js)
+  for (const [date, { images }] of Object.entries(dayMap)) {
+    images.sort(compareTime);
+
+    const main   = mainImage(images);
+    const ids    = [...new Set(images.map(img => img.location_id).filter(Boolean))];
+    const pinned = typeof main.lat === 'number' && typeof main.lng === 'number';   // coordinates go as a pair
+    dayMap[date] = {
+      date,
+      location:    main.location || '',
+      location_id: main.location_id,
+      locations:   ids.length > 1 ? ids : undefined,   // when the day moved between places
+      timezone:    main.timezone,
+      lat:         pinned ? main.lat : undefined,
+      lng:         pinned ? main.lng : undefined,
+      images,
+    };
+    assignSlugs(dayMap[date]);
   }
-}
 
-// Sort each day's images by time ascending (direct string comparison)
-for (const day of Object.values(dayMap)) {
-  day.images.sort((a, b) => {
-    const ta = a.time || '';
-    const tb = b.time || '';
-    return ta < tb ? -1 : ta > tb ? 1 : 0;
+  // Sort days newest-first (direct string comparison)
+  const days = Object.values(dayMap).sort((a, b) =>
+    a.date > b.date ? -1 : a.date < b.date ? 1 : 0
+  );
+
+  const weather  = await enrichWeather(days, ROOT, settings, provider);
+  const derived  = buildDerivatives(days, ROOT, cache, settings);
+  const videos   = await buildVideos(days, ROOT, cache, { fetchRemote: ARGS.includes('--fetch-videos') });
+  const bursts   = buildBursts(days, ROOT, cache);
+  const colours  = buildColours(days, ROOT, cache);
+  const orphans  = findOrphans(entries, ROOT);
+  const byPlace  = registry.summarise(days);
+  const today    = dateIn(settings.default_timezone);
+  const curated  = resolveCollections(loadCollections(ROOT), days, registry);
+  const stats    = computeStats(days, byPlace, today);
+  const palette  = summariseColours(days);
+  const pages    = buildPages(days, ROOT, settings, cache, byPlace, curated.collections, stats, palette);
+  const feeds    = buildFeeds(days, ROOT, settings, byPlace, curated.collections);
+  const heroes   = updateManifest(ROOT, records);
+  const rotation = resolveRotation(heroes, days, settings, today);
+  const index    = buildIndex(days, ROOT, {
+    hero:        rotation,
+    locations:   byPlace,
+    collections: curated.collections,
+    stats,
+    colours:     palette,
   });
-}
+  cache.save();
+  if (curated.problems.length) console.warn(formatProblems(curated.problems) + '\n');
 
-// Sort days newest-first (direct string comparison)
-const days = Object.values(dayMap).sort((a, b) =>
-  a.date > b.date ? -1 : a.date < b.date ? 1 : 0
-);
+  console.log(`Sidecars${clean ? ' (clean build)' : ''} — ${sidecars.added} new, ${sidecars.changed} changed, ` +
+    `${sidecars.unchanged} unchanged` + (sidecars.removed ? `, ${sidecars.removed} removed` : ''));
+  console.log(`Built content/index.json — ${days.length} days, ${index.total} images in ${index.chunks.length} monthly chunks`);
+  console.log(`Hero rotation — ${new Set(rotation.map(img => img.src)).size} of ${heroes.length} ` +
+    `hero-manifest.json entries live, ${rotation.length} slots per cycle`);
+  console.log(`Built day/ — ${pages.written} permalink pages written, ${pages.reused} unchanged`);
+  console.log(`Built location/ — ${pages.locations} location pages`);
+  console.log(`Built collection/ — ${pages.collections} collections, ` +
+    `${curated.collections.reduce((n, col) => n + col.images.length, 0)} images`);
+  console.log(`Built stats — ${stats.streaks.longest.days}-day longest streak, ` +
+    `${stats.streaks.current.days}-day current, ${stats.months.length} months`);
+  console.log(`Weather (${provider ? provider.name : 'cache only'}) — ${weather.sidecar} from sidecars, ` +
+    `${weather.cached} cached, ${weather.fetched} fetched, ${weather.missing} without` +
+    (weather.failed ? `, ${weather.failed} failed` : '') +
+    (weather.deferred ? `, ${weather.deferred} left for later builds` : ''));
+  console.log(`Built feed.xml, feed.json — ${feeds.items} days; sitemap.xml — ${feeds.urls} URLs`);
+  if (derived) {
+    console.log(`Built static/derived — ${derived.generated} images generated, ${derived.reused} up to date` +
+      (derived.retagged ? `, ${derived.retagged} re-tagged` : '') +
+      (derived.failed ? `, ${derived.failed} images failed` : ''));
+  }
+  if (videos) {
+    console.log(`Built video posters — ${videos.generated} generated, ${videos.reused} up to date, ` +
+      `${videos.missing} without a local copy` + (videos.fetched ? `, ${videos.fetched} fetched` : '') +
+      (videos.failed ? `, ${videos.failed} failed` : ''));
+  }
+  if (colours) {
+    console.log(`Colours — ${colours.sampled} sampled, ${colours.reused} up to date` +
+      (colours.failed ? `, ${colours.failed} failed` : '') + '; ' +
+      index.colours.map(c => `${c.images} ${c.family}`).join(', '));
+  }
+  if (bursts) {
+    console.log(`Bursts — ${bursts.bursts} runs of ${bursts.frames} near-identical frames; ` +
+      `${bursts.hashed} hashed, ${bursts.reused} up to date` + (bursts.failed ? `, ${bursts.failed} failed` : '') +
+      (bursts.duplicates.length ? `; ${bursts.duplicates.length} likely duplicates (node build.js audit)` : ''));
+  }
+  if (orphans.length) {
+    console.warn(`${orphans.length} file${orphans.length === 1 ? '' : 's'} in static/uploads with no sidecar ` +
+      '— node build.js audit lists them');
+  }
+  return { bursts, orphans };
+}
 
-fs.writeFileSync(OUTPUT, JSON.stringify(days, null, 2));
-fs.writeFileSync(HERO_MANIFEST, JSON.stringify(heroManifest, null, 2));
-console.log(`Built content/index.json — ${days.length} days, ${days.reduce((n, d) => n + d.images.length, 0)} images`);
-console.log(`Built hero-manifest.json — ${heroManifest.length} hero images`);
+if (COMMAND === 'build' && ARGS.includes('--serve') && ARGS.includes('--watch')) {
+  // A failed build doesn't stop the dev loop — the page shows why
+  const { serve, captureBuild, watch } = require('./lib/serve');
+  captureBuild(build).then(async first => {
+    const server = await serve(ROOT, { port: Number(argValue('--port')) || 8888, live: true });
+    watch(ROOT, server, () => build({ clean: false }), first);
+  }).catch(e => {
+    console.error(`Serve failed: ${e.message}`);
+    process.exit(1);
+  });
+} else if (COMMAND === 'build') {
+  build().then(() => {
+    if (!ARGS.includes('--serve')) return;
+    const { serve } = require('./lib/serve');
+    return serve(ROOT, { port: Number(argValue('--port')) || 8888 });
+  }).catch(e => {
+    console.error(`Build failed: ${e.message}`);
+    process.exit(1);
+  });
+} else if (COMMAND === 'audit') {
+  build({ clean: false }).then(({ bursts, orphans }) => {
+    console.log('\n' + formatAudit(bursts, orphans));
+  }).catch(e => {
+    console.error(`Build failed: ${e.message}`);
+    process.exit(1);
+  });
+} else if (COMMAND === 'ingest') {
+  const { ingest } = require('./lib/ingest');
+  ingest(ARGS[1] && !ARGS[1].startsWith('--') ? ARGS[1] : undefined, ROOT, {
+    dryRun:   ARGS.includes('--dry-run'),
+    location: argValue('--location'),
+  });
+} else if (COMMAND === 'migrate') {
+  const { migrate } = require('./lib/migrate');
+  migrate(DAYS_DIR, ROOT, { to: argValue('--to'), dryRun: ARGS.includes('--dry-run') });
+} else {
+  console.error(`Unknown command "${COMMAND}" — see the usage notes at the top of build.js`);
+  process.exit(1);
+}
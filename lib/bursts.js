@@ -0,0 +1,245 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — lib/bursts.js
+// ============================================================
+//
+// Near-duplicate frames. A sunset shot in burst mode lands in the
+// archive as a run of nearly identical images; this finds them so
+// the timeline can show one thumbnail per run.
+//
+// Each local image (and each video's poster, see lib/videos.js) gets
+// a perceptual hash: a 64-bit dHash of the frame shrunk to 9 × 8
+// grey pixels, one bit per "is this pixel darker than the next one
+// along". Frames that look alike have hashes a few bits apart,
+// whatever their size or JPEG quality. Hashes are cached by file
+// content (lib/cache.js), so only new uploads run ImageMagick.
+//
+// Within a day and one side of it (sunrise / sunset), frames in time
+// order are chained into a burst while each is at most BURST_GAP
+// minutes and BURST_DISTANCE bits from the one before. Every member
+// of a burst of two or more gets, in index.json:
+//
+//   burst → { id, size }   id = slug of the frame that stands for
+//                          the burst (the hero if there is one,
+//                          else the first), size = frames in it
+//
+// For `node build.js audit`, across the whole archive:
+//
+//   duplicates → frame pairs at most DUPLICATE_DISTANCE bits apart,
+//                on any dates — likely the same shot uploaded twice
+//
+// Comparing every pair would grow with the square of the archive,
+// so findDuplicates splits each hash into DUPLICATE_DISTANCE + 1
+// blocks: two hashes that close must match exactly on one of them,
+// and only frames sharing a block are compared.
+//   orphans    → files in static/uploads no sidecar points at
+//
+// Like derivatives, hashing needs ImageMagick and is skipped when it
+// isn't installed; orphans are found either way.
+//
+// ============================================================
+
+const fs   = require('fs');
+const path = require('path');
+const { findMagick, rawPixels, frameFile } = require('./images');
+
+const UPLOADS_DIR = path.join('static', 'uploads');
+
+const BURST_GAP          = 5;    // minutes between consecutive frames
+const BURST_DISTANCE     = 10;   // bits of 64
+const DUPLICATE_DISTANCE = 3;
+
+const HASH_W = 9;
+const HASH_H = 8;
+
+// dHash of one file → 16 hex characters
+function perceptualHash(input) {
+  const px   = rawPixels(input, HASH_W, HASH_H);
+  let   bits = '';
+  for (let y = 0; y < HASH_H; y++) {
+    for (let x = 0; x < HASH_W - 1; x++) {
+      bits += px[y * HASH_W + x] < px[y * HASH_W + x + 1] ? '1' : '0';
+    }
+  }
+  return bits.match(/.{4}/g).map(nibble => parseInt(nibble, 2).toString(16)).join('');
+}
+
+function popcount(n) {
+  n = n - ((n >>> 1) & 0x55555555);
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return (((n + (n >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+// Bits that differ between two hashes, 0–64
+function distance(a, b) {
+  return popcount(parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16)) +
+         popcount(parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16));
+}
+
+function minutesOf(time) {
+  const [h, m] = String(time || '00:00').split(':').map(Number);
+  return h * 60 + (m || 0);
+}
+
+// Hash of one frame, from the cache when its file hasn't changed
+function hashFrame(img, rootDir, stats, cache) {
+  const rel = frameFile(img);
+  if (!rel || !fs.existsSync(path.join(rootDir, rel))) return null;
+
+  const hash   = cache.hashFile(rel);
+  const cached = cache.get('phash', rel);
+  if (cached && cached.hash === hash) {
+    cache.set('phash', rel, cached);
+    stats.reused++;
+    return cached.phash;
+  }
+
+  try {
+    const phash = perceptualHash(path.join(rootDir, rel));
+    cache.set('phash', rel, { hash, phash });
+    stats.hashed++;
+    return phash;
+  } catch (e) {
+    stats.failed++;
+    console.warn(`Perceptual hash failed for ${img.src}: ${(e.stderr || e.message).toString().trim()}`);
+    return null;
+  }
+}
+
+// Chains one day's frames (in time order) into bursts and sets
+// img.burst on every member of one with two or more frames.
+// `hashes` maps image → hash; frames without one break a chain.
+function markBursts(day, hashes) {
+  const runs = [];
+  const last = {};   // tag → the run its latest frame is in
+  for (const img of day.images) {
+    const run  = last[img.tag];
+    const prev = run && run[run.length - 1];
+    const hash = hashes.get(img);
+    if (run && hash && hashes.get(prev) &&
+        minutesOf(img.time) - minutesOf(prev.time) <= BURST_GAP &&
+        distance(hashes.get(prev), hash) <= BURST_DISTANCE) {
+      run.push(img);
+    } else {
+      last[img.tag] = [img];
+      runs.push(last[img.tag]);
+    }
+  }
+
+  const bursts = runs.filter(run => run.length > 1);
+  for (const run of bursts) {
+    const lead = run.find(img => img.hero) || run[0];
+    for (const img of run) img.burst = { id: lead.slug, size: run.length };
+  }
+  return bursts;
+}
+
+// The hash's DUPLICATE_DISTANCE + 1 blocks, each tagged with its
+// place so equal hex in different blocks doesn't match
+function hashBlocks(hash) {
+  const count = DUPLICATE_DISTANCE + 1;
+  const size  = Math.ceil(hash.length / count);
+  return Array.from({ length: count }, (_, i) => `${i}:${hash.slice(i * size, (i + 1) * size)}`);
+}
+
+// Every pair of frames across the archive at most
+// DUPLICATE_DISTANCE bits apart → [{ a, b, distance }], a before b
+function findDuplicates(frames) {
+  const buckets = new Map();   // block → indexes of frames with it
+  frames.forEach((frame, i) => {
+    for (const block of hashBlocks(frame.hash)) {
+      if (!buckets.has(block)) buckets.set(block, []);
+      buckets.get(block).push(i);
+    }
+  });
+
+  const found = new Map();   // 'i,j' → distance
+  for (const members of buckets.values()) {
+    for (let x = 0; x < members.length; x++) {
+      for (let y = x + 1; y < members.length; y++) {
+        const key = `${members[x]},${members[y]}`;
+        if (found.has(key)) continue;
+        found.set(key, distance(frames[members[x]].hash, frames[members[y]].hash));
+      }
+    }
+  }
+
+  return [...found]
+    .filter(([, d]) => d <= DUPLICATE_DISTANCE)
+    .map(([key, d]) => [...key.split(',').map(Number), d])
+    .sort(([a1, b1], [a2, b2]) => a1 - a2 || b1 - b2)
+    .map(([i, j, d]) => ({ a: frames[i], b: frames[j], distance: d }));
+}
+
+// Hashes every frame in `days` (index.json shape) and marks bursts,
+// in place → { hashed, reused, failed, bursts, frames, duplicates },
+// where bursts and frames count burst runs and the frames in them;
+// null when ImageMagick isn't installed.
+function buildBursts(days, rootDir, cache) {
+  if (!findMagick()) {
+    console.warn('ImageMagick not found — skipping burst detection; every frame gets its own thumbnail');
+    return null;
+  }
+
+  const stats  = { hashed: 0, reused: 0, failed: 0, bursts: 0, frames: 0 };
+  const frames = [];   // [{ hash, date, slug, src }] for findDuplicates
+  for (const day of [...days].reverse()) {
+    const hashes = new Map();
+    for (const img of day.images) {
+      const hash = hashFrame(img, rootDir, stats, cache);
+      if (!hash) continue;
+      hashes.set(img, hash);
+      frames.push({ hash, date: day.date, slug: img.slug, src: img.src });
+    }
+    for (const run of markBursts(day, hashes)) {
+      stats.bursts++;
+      stats.frames += run.length;
+    }
+  }
+  return { ...stats, duplicates: findDuplicates(frames) };
+}
+
+// Files in static/uploads no sidecar or day entry points at →
+// ['/static/uploads/x.jpeg', …]. `entries` is readContent's, so a
+// sidecar that failed validation still claims its file.
+function findOrphans(entries, rootDir) {
+  const dir = path.join(rootDir, UPLOADS_DIR);
+  if (!fs.existsSync(dir)) return [];
+
+  const claimed = new Set();
+  for (const { shape, data } of entries) {
+    const images = shape === 'day' ? (Array.isArray(data.images) ? data.images : []) : [data];
+    for (const img of images) {
+      if (img && typeof img.src === 'string') claimed.add(img.src.split('?')[0]);
+    }
+  }
+
+  return fs.readdirSync(dir)
+    .filter(name => !name.startsWith('.'))
+    .map(name => `/${UPLOADS_DIR.split(path.sep).join('/')}/${name}`)
+    .filter(src => !claimed.has(src))
+    .sort();
+}
+
+// The `node build.js audit` report: bursts, duplicates and orphans
+function formatAudit(bursts, orphans) {
+  const lines = [];
+  if (bursts) {
+    lines.push(`Bursts — ${bursts.bursts} runs of near-identical frames, ${bursts.frames} frames in all`);
+    lines.push(`Likely duplicates (${DUPLICATE_DISTANCE} bits apart or closer) — ${bursts.duplicates.length}` +
+      (bursts.duplicates.length ? ':' : ''));
+    for (const { a, b, distance: d } of bursts.duplicates) {
+      lines.push(`  ${a.date}/${a.slug}  ${a.src}`);
+      lines.push(`  ${b.date}/${b.slug}  ${b.src}  — ${d} bit${d === 1 ? '' : 's'} apart`);
+    }
+  } else {
+    lines.push('Bursts and duplicates — skipped (needs ImageMagick)');
+  }
+  lines.push(`Orphaned uploads (no sidecar points at them) — ${orphans.length}` + (orphans.length ? ':' : ''));
+  for (const src of orphans) lines.push(`  ${src.slice(1)}`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  BURST_GAP, BURST_DISTANCE, DUPLICATE_DISTANCE,
+  perceptualHash, distance, markBursts, findDuplicates, buildBursts, findOrphans, formatAudit,
+};
@@ -0,0 +1,108 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — lib/cache.js
+// ============================================================
+//
+// Build cache, so a deploy only redoes work for inputs that
+// changed since the last one. Everything lives under .cache/build/
+// (a dot-directory, so Netlify never publishes it):
+//
+//   .cache/build/manifest.json
+//     files       → { 'static/uploads/x.jpeg': { size, mtimeMs, hash } }
+//     inputs      → { sidecars: { 'content/days/x.json': hash } }
+//     derivatives → { '/static/uploads/x.jpeg': { hash, stamp, tagged, record } }
+//                   stamp / tagged: hashes of the watermark and the
+//                   metadata the files were made with (lib/watermark.js)
+//     videos      → { '<video src>': { hash, record } }  (lib/videos.js)
+//     phash       → { '<hashed file>': { hash, phash } }  (lib/bursts.js)
+//     colours     → { '<sampled file>': { hash, colour } }  (lib/colours.js)
+//     pages       → { '2026-03-22': hash of the day's page inputs }
+//
+// What gets skipped: resizing, posters, perceptual hashes and
+// colours for an unchanged upload, and rewriting an unchanged day's
+// pages. Sidecars are still read and validated in full on every
+// build — that's quick, and validation depends on other files (is
+// the upload there? does another sidecar claim it?) — so `inputs`
+// only feeds the "Sidecars — n new, n changed" line of the log.
+//
+// Hashes are of file contents, not mtimes — a fresh git clone on
+// Netlify touches every file. size + mtime only lets a local build
+// skip re-hashing a file it has already seen.
+//
+// The generated outputs themselves (static/derived/, day/) stay
+// where the site serves them; netlify/plugins/build-cache saves
+// and restores them together with this directory between deploys.
+// `node build.js --clean` deletes all of it for a full rebuild.
+//
+// ============================================================
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const CACHE_DIR = path.join('.cache', 'build');
+const VERSION   = 1;   // bump when a cached shape changes
+
+function hashString(str) {
+  return crypto.createHash('sha1').update(str).digest('hex');
+}
+
+// Returns a cache for one build. Reads last build's manifest; what
+// this build set() is what the next one sees, so entries for
+// deleted inputs drop out on their own.
+function openCache(rootDir) {
+  const file = path.join(rootDir, CACHE_DIR, 'manifest.json');
+  let prev   = {};
+  try {
+    prev = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (prev.version !== VERSION) prev = {};
+  } catch (e) { /* first build, or unreadable — start empty */ }
+
+  const next = { version: VERSION, files: {}, inputs: {}, derivatives: {}, videos: {}, phash: {}, colours: {}, pages: {} };
+
+  return {
+    // Content hash of a file, by path relative to rootDir
+    hashFile(rel) {
+      if (next.files[rel]) return next.files[rel].hash;
+      const stat = fs.statSync(path.join(rootDir, rel));
+      const seen = prev.files && prev.files[rel];
+      const hash = seen && seen.size === stat.size && seen.mtimeMs === stat.mtimeMs
+        ? seen.hash
+        : crypto.createHash('sha1').update(fs.readFileSync(path.join(rootDir, rel))).digest('hex');
+      next.files[rel] = { size: stat.size, mtimeMs: stat.mtimeMs, hash };
+      return hash;
+    },
+
+    // Hashes a set of input files and compares them with the same
+    // set last build → { added, changed, unchanged, removed }, for
+    // the build log; nothing is skipped on the strength of it
+    trackInputs(name, rels) {
+      const before = (prev.inputs && prev.inputs[name]) || {};
+      const after  = {};
+      const counts = { added: 0, changed: 0, unchanged: 0, removed: 0 };
+      for (const rel of rels) {
+        after[rel] = this.hashFile(rel);
+        if (!(rel in before))                counts.added++;
+        else if (before[rel] !== after[rel]) counts.changed++;
+        else                                 counts.unchanged++;
+      }
+      counts.removed = Object.keys(before).filter(rel => !(rel in after)).length;
+      next.inputs[name] = after;
+      return counts;
+    },
+
+    get(section, key) {
+      return prev[section] ? prev[section][key] : undefined;
+    },
+
+    set(section, key, value) {
+      next[section][key] = value;
+    },
+
+    save() {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(next));
+    },
+  };
+}
+
+module.exports = { CACHE_DIR, hashString, openCache };
@@ -0,0 +1,106 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — lib/chunks.js
+// ============================================================
+//
+// Splits the day index into one file per month so site.js only
+// downloads what the visitor scrolls to:
+//
+//   content/index.json          → small manifest (below)
+//   content/index/2026-03.json  → that month's days, newest first,
+//                                 same shape the old index.json had
+//   content/index/collections/gulf-sunsets.json
+//                               → a collection's images, in order
+//                                 (see lib/collections.js)
+//   content/index/stats.json    → archive statistics for /stats/
+//                                 (see lib/stats.js)
+//
+// Manifest:
+//   {
+//     version:   2,
+//     total:     330,                     images across all chunks
+//     locations: [{ id, name, images,    per-location counts and date
+//                   from, to, days }, …]  ranges (see lib/locations.js)
+//     hero:      [image, …],              the hero rotation, in order
+//                                         (see lib/hero.js)
+//     collections: [{ id, title, description, cover: image,
+//                     images: 24, from, to,
+//                     src: '/content/index/collections/<id>.json?v=…' }, …]
+//     stats:     '/content/index/stats.json?v=…',
+//     colours:   [{ family: 'orange',     frames per colour family
+//                   images: 41,           (see lib/colours.js)
+//                   swatch: '#b86a3c' }, …]
+//     chunks:    [{ id: '2026-03', src: '/content/index/2026-03.json?v=…',
+//                   first: '2026-03-31', last: '2026-03-01',
+//                   days: 22, images: 250 }, …]   newest first
+//   }
+//
+// Chunk and collection URLs carry a content hash, so they can be
+// cached hard.
+//
+// ============================================================
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const INDEX_FILE = path.join('content', 'index.json');
+const CHUNK_DIR  = path.join('content', 'index');
+
+// Writes `json` under CHUNK_DIR → its URL with a content hash
+function writeHashed(rootDir, file, json) {
+  const hash = crypto.createHash('md5').update(json).digest('hex').slice(0, 8);
+  fs.writeFileSync(path.join(rootDir, CHUNK_DIR, file), json);
+  return `/${CHUNK_DIR.split(path.sep).join('/')}/${file.split(path.sep).join('/')}?v=${hash}`;
+}
+
+// Groups newest-first days by YYYY-MM, keeping that order.
+function chunkByMonth(days) {
+  const chunks = [];
+  for (const day of days) {
+    const id = day.date.slice(0, 7);
+    if (!chunks.length || chunks[chunks.length - 1].id !== id) chunks.push({ id, days: [] });
+    chunks[chunks.length - 1].days.push(day);
+  }
+  return chunks;
+}
+
+// Writes the manifest, chunk, collection and stats files. `hero`
+// and `locations` go into the manifest as they are; `collections`
+// as resolved by lib/collections.js, `stats` as computed by
+// lib/stats.js, `colours` by lib/colours.js. Returns the manifest.
+function buildIndex(days, rootDir, { hero, locations, collections = [], stats = null, colours = [] }) {
+  const dir = path.join(rootDir, CHUNK_DIR);
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+
+  const chunks = chunkByMonth(days).map(({ id, days: chunkDays }) => ({
+    id,
+    src:    writeHashed(rootDir, `${id}.json`, JSON.stringify(chunkDays)),
+    first:  chunkDays[0].date,
+    last:   chunkDays[chunkDays.length - 1].date,
+    days:   chunkDays.length,
+    images: chunkDays.reduce((n, d) => n + d.images.length, 0),
+  }));
+
+  if (collections.length) fs.mkdirSync(path.join(dir, 'collections'));
+  const listed = collections.map(({ images, ...col }) => ({
+    ...col,
+    images: images.length,
+    src:    writeHashed(rootDir, path.join('collections', `${col.id}.json`), JSON.stringify(images)),
+  }));
+
+  const manifest = {
+    version:     2,
+    total:       chunks.reduce((n, c) => n + c.images, 0),
+    locations,
+    hero,
+    collections: listed,
+    stats:       stats && writeHashed(rootDir, 'stats.json', JSON.stringify(stats)),
+    colours,
+    chunks,
+  };
+  fs.writeFileSync(path.join(rootDir, INDEX_FILE), JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+module.exports = { INDEX_FILE, CHUNK_DIR, buildIndex };
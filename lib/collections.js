@@ -0,0 +1,203 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — lib/collections.js
+// ============================================================
+//
+// Curated collections — the portfolio side of the archive. One
+// file per collection in content/collections/, named for its id
+// (/collection/<id>/):
+//
+//   { "title":       "Gulf Coast Sunsets",
+//     "description": "…",                      → optional
+//     "cover":       "2026-03-22/1931",        → optional; a frame
+//                                                reference, else
+//                                                the first image
+//     "images": [
+//       "IMG_3320_2026-03-15_0811",             → a sidecar (its
+//                                                file name, .json
+//                                                optional) — a day
+//                                                entry gives all
+//                                                its images
+//       "2026-03-22/0701",                      → a permalink
+//       { "ref": "2026-03-22/0702" },           → same, as an object
+//       { "location": "tampa",                  → a rule: every image
+//         "tag":      "sunset",                   matching all of its
+//         "type":     "image",                    fields, newest first
+//         "from":     "2026-03-01",               ("order": "oldest"
+//         "to":       "2026-03-31",               to flip), up to
+//         "hero":     true,                       `limit`
+//         "limit":    12 }
+//     ] }
+//
+// Entries are resolved in order and an image is only listed once.
+// References that match nothing, blank entries, files that aren't
+// a JSON object, and collections left empty, are reported by
+// build.js and skipped; the rest still build.
+//
+// ============================================================
+
+const fs   = require('fs');
+const path = require('path');
+const { isHero, compareTime } = require('./model');
+
+const COLLECTIONS_DIR = path.join('content', 'collections');
+
+const RULE_FIELDS = ['location', 'tag', 'type', 'from', 'to', 'hero'];
+
+// "content/days/IMG_3320_2026-03-15_0811.json" → "IMG_3320_2026-03-15_0811"
+// "/day/2026-03-22/0701/" → "2026-03-22/0701"
+function refKey(ref) {
+  return String(ref || '').trim()
+    .replace(/^\/?(content\/days\/|day\/)/, '')
+    .replace(/\.json$/, '')
+    .replace(/\/$/, '');
+}
+
+// Reads every content/collections/*.json → [{ id, file, ...data }].
+// A file that isn't a JSON object comes back as { id, file, error }
+// for resolveCollections to report.
+function loadCollections(rootDir) {
+  const dir = path.join(rootDir, COLLECTIONS_DIR);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const id = file.replace(/\.json$/, '');
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      } catch (e) {
+        return { id, file, error: `not valid JSON (${e.message}) — skipped` };
+      }
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { id, file, error: 'not a JSON object — skipped' };
+      }
+      return { id, file, ...data };
+    });
+}
+
+// Frame lookups over the built days: permalink and sidecar name →
+// images, in archive order
+function indexFrames(days) {
+  const byRef = new Map();
+  const add   = (key, img) => byRef.set(key, (byRef.get(key) || []).concat(img));
+  for (const day of days) {
+    for (const img of day.images) {
+      add(`${day.date}/${img.slug}`, img);
+      if (img.sidecar) add(refKey(img.sidecar), img);
+    }
+  }
+  // Days are newest first; a day entry's images read in time order
+  for (const [key, images] of byRef) {
+    byRef.set(key, images.sort((a, b) => a.date.localeCompare(b.date) || compareTime(a, b)));
+  }
+  return byRef;
+}
+
+// Images matching a rule, newest first unless order: "oldest".
+// Returns { images } or { problem }.
+function applyRule(rule, all, registry) {
+  if (!RULE_FIELDS.some(k => ![undefined, null, '', false].includes(rule[k]))) {
+    return { problem: `rule ${JSON.stringify(rule)} has no ${RULE_FIELDS.join(' / ')} to match on` };
+  }
+  let placeId = null;
+  if (rule.location) {
+    const place = registry.resolve(rule.location);
+    if (!place) return { problem: `unknown location "${rule.location}" (see content/locations.json)` };
+    placeId = place.id;
+  }
+  const hero = isHero(rule.hero);
+  let images = all.filter(img =>
+    (!placeId   || img.location_id === placeId) &&
+    (!rule.tag  || img.tag === rule.tag) &&
+    (!rule.type || img.type === rule.type) &&
+    (!rule.from || img.date >= rule.from) &&
+    (!rule.to   || img.date <= rule.to) &&
+    (!hero      || img.hero));
+  if (rule.order === 'oldest') images = images.reverse();
+  if (rule.limit > 0) images = images.slice(0, rule.limit);
+  return { images };
+}
+
+// Resolves each collection against the built `days` (newest first,
+// with slugs). `registry` from lib/locations.js matches rule
+// locations. Returns {
+//   collections → [{ id, title, description, cover, images,
+//                    from, to }], images in collection order
+//   problems    → [{ file, message }]
+// }
+function resolveCollections(defs, days, registry) {
+  const byRef = indexFrames(days);
+  // Newest first, down to the minute: the order rules list in (each
+  // day's images are in time order, so a reversed copy)
+  const all   = days.flatMap(day => [...day.images].reverse());
+
+  const collections = [];
+  const problems    = [];
+  for (const def of defs) {
+    const problem = message => problems.push({ file: path.join(COLLECTIONS_DIR, def.file), message });
+    if (def.error) {
+      problem(def.error);
+      continue;
+    }
+    if (!/^[a-z0-9-]+$/.test(def.id)) {
+      problem('file name must be lowercase-with-dashes — it is the /collection/<id>/ address');
+      continue;
+    }
+    if (!def.title) problem('no title');
+
+    const images = [];
+    const seen   = new Set();
+    for (const [i, entry] of (Array.isArray(def.images) ? def.images : []).entries()) {
+      let found;
+      if (!entry || (typeof entry !== 'string' && typeof entry !== 'object')) {
+        problem(`image ${i + 1} is empty — skipped`);
+        continue;
+      }
+      if (typeof entry === 'string' || entry.ref) {
+        const key = refKey(typeof entry === 'string' ? entry : entry.ref);
+        found     = byRef.get(key);
+        if (!found) problem(`"${key}" matches no sidecar or permalink`);
+      } else {
+        const rule = applyRule(entry, all, registry);
+        if (rule.problem) problem(rule.problem);
+        found = rule.images;
+      }
+      for (const img of found || []) {
+        const key = `${img.date}/${img.slug}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        images.push(img);
+      }
+    }
+    if (!images.length) {
+      problem('no images — skipped');
+      continue;
+    }
+
+    let cover = images[0];
+    if (def.cover) {
+      const match = byRef.get(refKey(def.cover));
+      if (match) cover = match[0];
+      else problem(`cover "${refKey(def.cover)}" matches no sidecar or permalink`);
+    }
+    const dates = images.map(img => img.date).sort();
+    collections.push({
+      id:          def.id,
+      title:       def.title || def.id,
+      description: def.description || '',
+      cover,
+      images,
+      from:        dates[0],
+      to:          dates[dates.length - 1],
+    });
+  }
+  return { collections, problems };
+}
+
+// "Collection problems …" lines for the build log
+function formatProblems(problems) {
+  return `Collection problems:\n${problems.map(p => `  ${p.file}: ${p.message}`).join('\n')}`;
+}
+
+module.exports = { COLLECTIONS_DIR, loadCollections, resolveCollections, formatProblems };
@@ -0,0 +1,221 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — lib/colours.js
+// ============================================================
+//
+// The colour of each frame, for thumbnail backgrounds, tinted day
+// pills and the /colour/ view in site.js. Every local image (and
+// each video's poster) is shrunk to SAMPLE × SAMPLE pixels and
+// gets, in index.json:
+//
+//   colour → {
+//     dominant:   '#b86a3c',   most common colour
+//     palette:    ['#b86a3c', '#2c3a52', …],   up to PALETTE_SIZE
+//                              distinct colours, most common first
+//     brightness: 42,          mean luminance, 0–100
+//     family:     'orange',    one of FAMILIES, by which hue the
+//                              saturated pixels mostly share; 'grey'
+//                              when few are (marine-layer mornings)
+//     hue:        24,          0–359, their mean hue; null for grey
+//   }
+//
+// and the manifest (lib/chunks.js) a count per family:
+//
+//   colours → [{ family, images, swatch: '#…' }, …]   in FAMILIES
+//             order, families with no images left out
+//
+// Results are cached by file content (lib/cache.js). Needs
+// ImageMagick, like derivatives; without it frames go uncoloured.
+//
+// ============================================================
+
+const fs   = require('fs');
+const path = require('path');
+const { findMagick, rawPixels, frameFile } = require('./images');
+
+const SAMPLE       = 24;     // px square — 576 pixels is plenty for a palette
+const PALETTE_SIZE = 5;
+const PALETTE_GAP  = 48;     // RGB distance below which colours count as one
+
+// Hue ranges in degrees, [from, to); red wraps through 0. Pale reds
+// read as pink, so they're counted there (see familyOf).
+const FAMILIES = [
+  { family: 'red',    from: 345, to: 12  },
+  { family: 'orange', from: 12,  to: 40  },
+  { family: 'gold',   from: 40,  to: 70  },
+  { family: 'green',  from: 70,  to: 165 },
+  { family: 'blue',   from: 165, to: 255 },
+  { family: 'purple', from: 255, to: 290 },
+  { family: 'pink',   from: 290, to: 345 },
+];
+const GREY = 'grey';
+
+const MIN_SATURATION = 0.25;   // below this a pixel is greyish
+const GREY_SHARE     = 0.15;   // fewer saturated pixels than this → grey
+
+function toHex([r, g, b]) {
+  return '#' + [r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+}
+
+function fromHex(hex) {
+  return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+// [r, g, b] 0–255 → { h: 0–360, s: 0–1, l: 0–1 }
+function toHsl([r, g, b]) {
+  r /= 255; g /= 255; b /= 255;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l   = (max + min) / 2;
+  const d   = max - min;
+  if (!d) return { h: 0, s: 0, l };
+  const s = d / (1 - Math.abs(2 * l - 1));
+  const h = max === r ? ((g - b) / d + 6) % 6 : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+  return { h: h * 60, s, l };
+}
+
+// Family of one saturated pixel
+function familyOf({ h, l }) {
+  const { family } = FAMILIES.find(f => f.from < f.to ? h >= f.from && h < f.to : h >= f.from || h < f.to);
+  return family === 'red' && l >= 0.6 ? 'pink' : family;
+}
+
+// Most common colours, merging near neighbours: pixels are binned
+// at 3 bits a channel, then each bin joins the first bigger one
+// within PALETTE_GAP
+function palette(pixels) {
+  const bins = new Map();
+  for (const px of pixels) {
+    const key = (px[0] >> 5) << 6 | (px[1] >> 5) << 3 | (px[2] >> 5);
+    const bin = bins.get(key) || { count: 0, sum: [0, 0, 0] };
+    bin.count++;
+    px.forEach((c, i) => { bin.sum[i] += c; });
+    bins.set(key, bin);
+  }
+
+  const picked = [];
+  for (const bin of [...bins.values()].sort((a, b) => b.count - a.count)) {
+    const rgb  = bin.sum.map(c => c / bin.count);
+    const near = picked.find(p => Math.hypot(...p.rgb.map((c, i) => c - rgb[i])) < PALETTE_GAP);
+    if (near) near.count += bin.count;
+    else picked.push({ rgb, count: bin.count });
+  }
+  return picked.sort((a, b) => b.count - a.count).slice(0, PALETTE_SIZE).map(p => toHex(p.rgb));
+}
+
+// Raw RGB bytes → the colour record described above
+function describeColour(bytes) {
+  const pixels = [];
+  for (let i = 0; i + 2 < bytes.length; i += 3) pixels.push([bytes[i], bytes[i + 1], bytes[i + 2]]);
+
+  const weights = {};   // family → summed saturation
+  const hues    = {};   // family → summed unit vectors, for a mean hue
+  let   luma    = 0;
+  let   vivid   = 0;
+  for (const px of pixels) {
+    luma += 0.299 * px[0] + 0.587 * px[1] + 0.114 * px[2];
+    const hsl = toHsl(px);
+    if (hsl.s < MIN_SATURATION || hsl.l < 0.1 || hsl.l > 0.92) continue;
+    const family = familyOf(hsl);
+    const rad    = hsl.h * Math.PI / 180;
+    vivid++;
+    weights[family] = (weights[family] || 0) + hsl.s;
+    hues[family]    = hues[family] || [0, 0];
+    hues[family][0] += Math.cos(rad) * hsl.s;
+    hues[family][1] += Math.sin(rad) * hsl.s;
+  }
+
+  const colours = palette(pixels);
+  const top     = Object.keys(weights).sort((a, b) => weights[b] - weights[a])[0];
+  const grey    = !top || vivid / pixels.length < GREY_SHARE;
+  return {
+    dominant:   colours[0],
+    palette:    colours,
+    brightness: Math.round(luma / pixels.length / 255 * 100),
+    family:     grey ? GREY : top,
+    hue:        grey ? null : Math.round((Math.atan2(hues[top][1], hues[top][0]) * 180 / Math.PI + 360) % 360),
+  };
+}
+
+// Colour of one frame, from the cache when its file hasn't changed
+function colourFrame(img, rootDir, stats, cache) {
+  const rel = frameFile(img);
+  if (!rel || !fs.existsSync(path.join(rootDir, rel))) return null;
+
+  const hash   = cache.hashFile(rel);
+  const cached = cache.get('colours', rel);
+  if (cached && cached.hash === hash) {
+    cache.set('colours', rel, cached);
+    stats.reused++;
+    return cached.colour;
+  }
+
+  try {
+    const colour = describeColour(rawPixels(path.join(rootDir, rel), SAMPLE, SAMPLE, 'rgb'));
+    cache.set('colours', rel, { hash, colour });
+    stats.sampled++;
+    return colour;
+  } catch (e) {
+    stats.failed++;
+    console.warn(`Colour sampling failed for ${img.src}: ${(e.stderr || e.message).toString().trim()}`);
+    return null;
+  }
+}
+
+// Sets img.colour on every frame in `days` (index.json shape) it
+// can → { sampled, reused, failed }, or null without ImageMagick
+function buildColours(days, rootDir, cache) {
+  if (!findMagick()) {
+    console.warn('ImageMagick not found — skipping colours; thumbnails load on a plain background');
+    return null;
+  }
+
+  const stats = { sampled: 0, reused: 0, failed: 0 };
+  for (const day of days) {
+    for (const img of day.images) {
+      const colour = colourFrame(img, rootDir, stats, cache);
+      if (colour) img.colour = colour;
+    }
+  }
+  return stats;
+}
+
+// Mean of hues in degrees, around the circle
+function meanHue(hues) {
+  const x = hues.reduce((n, h) => n + Math.cos(h * Math.PI / 180), 0);
+  const y = hues.reduce((n, h) => n + Math.sin(h * Math.PI / 180), 0);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// HSL (h in degrees, s and l 0–1) → '#rrggbb'
+function hslToHex(h, s, l) {
+  const a = s * Math.min(l, 1 - l);
+  const f = n => {
+    const k = (n + h / 30) % 12;
+    return 255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+  };
+  return toHex([f(0), f(8), f(4)]);
+}
+
+// The manifest's per-family counts. A family's swatch is its frames'
+// mean hue at an even saturation and lightness — their dominant
+// colours are mostly sky and water, so would all average to grey —
+// and for grey, the mean of the dominant colours.
+function summariseColours(days) {
+  const byFamily = new Map([...FAMILIES.map(f => f.family), GREY].map(family => [family, []]));
+  for (const day of days) {
+    for (const img of day.images) {
+      if (img.colour) byFamily.get(img.colour.family).push(img.colour);
+    }
+  }
+  return [...byFamily]
+    .filter(([, colours]) => colours.length)
+    .map(([family, colours]) => ({
+      family,
+      images: colours.length,
+      swatch: family === GREY
+        ? toHex([0, 1, 2].map(i => colours.reduce((n, c) => n + fromHex(c.dominant)[i], 0) / colours.length))
+        : hslToHex(meanHue(colours.map(c => c.hue)), 0.6, 0.55),
+    }));
+}
+
+module.exports = { FAMILIES, GREY, describeColour, buildColours, summariseColours };
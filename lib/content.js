@@ -0,0 +1,95 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — lib/content.js
+// ============================================================
+//
+// Reads content/days/*.json into flat image records. Two file
+// shapes live side by side in that folder:
+//
+//   sidecar   → one image per file, written by the iOS Shortcut
+//               { src, type, time, date, location, … }
+//   day entry → one day per file, written by Decap CMS
+//               { date, location, lat, lng, timezone, images: [ … ] }
+//
+// A day entry is expanded into one record per image, each
+// inheriting the day's date / location / lat / lng / timezone
+// unless the image sets its own.
+//
+// ============================================================
+
+const fs   = require('fs');
+const path = require('path');
+const { validateSidecar, validateDayFields, validateImage, hasErrors } = require('./schema');
+
+// Day-entry fields copied onto each of its images
+const DAY_INHERITED = ['date', 'location', 'lat', 'lng', 'timezone'];
+
+function isDayEntry(data) {
+  return !!data && typeof data === 'object' && 'images' in data && !('src' in data);
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function expandDayEntry(entry) {
+  return entry.images.map(img => {
+    const record = { ...img };
+    for (const key of DAY_INHERITED) {
+      if (isBlank(record[key]) && !isBlank(entry[key])) record[key] = entry[key];
+    }
+    return record;
+  });
+}
+
+// Returns {
+//   files   → every .json filename read, sorted
+//   entries → [{ file, shape: 'sidecar' | 'day', data }] that parsed
+//   records → [{ file, index, day, record }] that passed validation;
+//             for day entries, index is the position in its images and
+//             day is the entry itself; both are null for sidecars
+//   report  → [{ file, issues[] }] for files with any issues
+// }
+function readContent(daysDir, rootDir) {
+  const files   = fs.existsSync(daysDir)
+    ? fs.readdirSync(daysDir).filter(f => f.endsWith('.json')).sort()
+    : [];
+  const entries = [];
+  const records = [];
+  const report  = [];
+  const seen    = new Map();   // src → filename, for duplicate detection
+
+  for (const file of files) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path.join(daysDir, file), 'utf8'));
+    } catch (e) {
+      report.push({ file, issues: [{ level: 'error', field: null, message: `invalid JSON: ${e.message}` }] });
+      continue;
+    }
+
+    const ctx = { file, rootDir, seen };
+
+    if (!isDayEntry(data)) {
+      entries.push({ file, shape: 'sidecar', data });
+      const issues = validateSidecar(data, ctx);
+      if (issues.length) report.push({ file, issues });
+      if (!hasErrors(issues)) records.push({ file, index: null, day: null, record: data });
+      continue;
+    }
+
+    entries.push({ file, shape: 'day', data });
+    const issues = validateDayFields(data, ctx);
+    if (!hasErrors(issues)) {
+      expandDayEntry(data).forEach((record, n) => {
+        const imageIssues = validateImage(record, ctx, `images[${n}].`, data.images[n]);
+        issues.push(...imageIssues);
+        if (!hasErrors(imageIssues)) records.push({ file, index: n, day: data, record });
+      });
+    }
+    if (issues.length) report.push({ file, issues });
+  }
+
+  return { files, entries, records, report };
+}
+
+module.exports = { DAY_INHERITED, isDayEntry, expandDayEntry, readContent };
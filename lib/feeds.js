@@ -0,0 +1,160 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — lib/feeds.js
+// ============================================================
+//
+// Subscription feeds and a sitemap, built from the same days[]
+// that goes into content/index.json (newest first):
+//
+//   feed.xml     → RSS 2.0, one item per day
+//   feed.json    → JSON Feed 1.1, same items
+//   sitemap.xml  → home and /stats/ pages plus every
+//                  /day/YYYY-MM-DD/, /location/<id>/ and
+//                  /collection/<id>/ page
+//
+// Item bodies are HTML with each photo, its caption, time, light
+// and weather, so feed readers show the day without a click.
+// All URLs are absolute, built from settings.site_url.
+//
+// ============================================================
+
+const fs   = require('fs');
+const path = require('path');
+const {
+  PAGES_DIR, LOCATION_PAGES_DIR, COLLECTION_PAGES_DIR, STATS_PAGE_DIR, COLOUR_PAGE_DIR,
+  absolute, escapeHtml, formatDateLabel,
+} = require('./pages');
+const { formatWeather }  = require('./model');
+const { zonedTimeToUtc } = require('./time');
+
+const FEED_DAYS = 30;   // newest days included in the feeds
+
+// Day dates are local calendar days; feeds want a timestamp, so
+// use midnight of that date where the day was shot.
+function dayTimestamp(day) {
+  return new Date(zonedTimeToUtc(day.date, '00:00', day.timezone));
+}
+
+function dayUrl(siteUrl, day) {
+  return `${siteUrl}/${PAGES_DIR}/${day.date}/`;
+}
+
+function dayTitle(day) {
+  return [formatDateLabel(day.date), day.location].filter(Boolean).join(' — ');
+}
+
+function daySummary(day) {
+  return `${day.images.length} photos & videos` + (day.location ? ` · ${day.location}` : '');
+}
+
+function dayHtml(day, siteUrl) {
+  const parts = [`<p>${escapeHtml(daySummary(day))}</p>`];
+
+  for (const img of day.images) {
+    const link  = `${dayUrl(siteUrl, day)}${img.slug}`;
+    const facts = [img.tag, img.time, img.location !== day.location ? img.location : '', formatWeather(img.weather)]
+      .filter(Boolean).map(escapeHtml).join(' · ');
+    const caption = img.caption ? `${escapeHtml(img.caption)}<br>` : '';
+
+    const media = img.type === 'video'
+      ? `<a href="${escapeHtml(link)}">${img.poster
+        ? `<img src="${escapeHtml(absolute(siteUrl, img.poster))}" alt="${escapeHtml(img.caption || '')}"><br>`
+        : ''}▶ Watch video</a>`
+      : `<a href="${escapeHtml(link)}"><img src="${escapeHtml(absolute(siteUrl, mediumSrc(img)))}" alt="${escapeHtml(img.caption || '')}"></a>`;
+
+    parts.push(`<figure>${media}<figcaption>${caption}${facts}</figcaption></figure>`);
+  }
+  return parts.join('\n');
+}
+
+function mediumSrc(img) {
+  const d = img.derivatives;
+  return d ? (d.medium || d.full).src : img.src;
+}
+
+function rss(days, settings) {
+  const site = settings.site_url;
+  const items = days.map(day => `    <item>
+      <title>${escapeHtml(dayTitle(day))}</title>
+      <link>${dayUrl(site, day)}</link>
+      <guid isPermaLink="true">${dayUrl(site, day)}</guid>
+      <pubDate>${dayTimestamp(day).toUTCString()}</pubDate>
+      <description>${escapeHtml(dayHtml(day, site))}</description>
+    </item>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeHtml(settings.title)}</title>
+    <link>${site}/</link>
+    <description>${escapeHtml(settings.tagline || '')}</description>
+    <language>en-us</language>
+    <atom:link href="${site}/feed.xml" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+function jsonFeed(days, settings) {
+  const site = settings.site_url;
+  return JSON.stringify({
+    version:       'https://jsonfeed.org/version/1.1',
+    title:         settings.title,
+    description:   settings.tagline || '',
+    home_page_url: `${site}/`,
+    feed_url:      `${site}/feed.json`,
+    authors:       [{ name: settings.photographer || settings.title }],
+    items: days.map(day => {
+      const cover = day.images.find(i => i.type === 'image');
+      const item  = {
+        id:             dayUrl(site, day),
+        url:            dayUrl(site, day),
+        title:          dayTitle(day),
+        summary:        daySummary(day),
+        content_html:   dayHtml(day, site),
+        date_published: dayTimestamp(day).toISOString(),
+        tags:           [...new Set(day.images.map(i => i.tag))],
+      };
+      if (cover) item.image = absolute(site, mediumSrc(cover));
+      return item;
+    }),
+  }, null, 2);
+}
+
+// One <url> line per page sitemap.xml lists
+function sitemapUrls(days, locations, collections, settings) {
+  const site = settings.site_url;
+  return [
+    `  <url><loc>${site}/</loc><lastmod>${days.length ? days[0].date : ''}</lastmod></url>`,
+    `  <url><loc>${site}/${STATS_PAGE_DIR}/</loc><lastmod>${days.length ? days[0].date : ''}</lastmod></url>`,
+    `  <url><loc>${site}/${COLOUR_PAGE_DIR}/</loc><lastmod>${days.length ? days[0].date : ''}</lastmod></url>`,
+    ...days.map(day => `  <url><loc>${dayUrl(site, day)}</loc><lastmod>${day.date}</lastmod></url>`),
+    ...locations.map(loc =>
+      `  <url><loc>${site}/${LOCATION_PAGES_DIR}/${loc.id}/</loc><lastmod>${loc.to}</lastmod></url>`),
+    ...collections.map(col =>
+      `  <url><loc>${site}/${COLLECTION_PAGES_DIR}/${col.id}/</loc><lastmod>${col.to}</lastmod></url>`),
+  ];
+}
+
+function sitemap(urls) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+// Writes feed.xml, feed.json and sitemap.xml at the site root.
+// `locations` as summarised by lib/locations.js, `collections` as
+// resolved by lib/collections.js.
+function buildFeeds(days, rootDir, settings, locations = [], collections = []) {
+  const recent = days.slice(0, FEED_DAYS);
+  const urls   = sitemapUrls(days, locations, collections, settings);
+  fs.writeFileSync(path.join(rootDir, 'feed.xml'),    rss(recent, settings));
+  fs.writeFileSync(path.join(rootDir, 'feed.json'),   jsonFeed(recent, settings));
+  fs.writeFileSync(path.join(rootDir, 'sitemap.xml'), sitemap(urls));
+  return { items: recent.length, urls: urls.length };
+}
+
+module.exports = { buildFeeds };
@@ -0,0 +1,139 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — lib/hero.js
+// ============================================================
+//
+// hero-manifest.json decides the hero rotation. One entry per hero,
+// everything but `src` optional and edited by hand:
+//
+//   {
+//     "src":          "/static/uploads/img_2026-03-02_0705.jpeg",
+//     "sidecar":      "content/days/img_2026-03-02_0705.json",
+//     "pin":          true,          → always in, shown first, never ages out
+//     "weight":       2,             → shown twice per cycle (default 1), and
+//                                      kept ahead of lighter heroes when
+//                                      there are more than hero_max
+//     "start":        "2026-12-01",  → hidden before this date
+//     "end":          "2027-01-06",  → hidden after this date
+//     "max_age_days": 30             → hidden this long after capture
+//                                      (default settings.hero_max_age_days)
+//   }
+//
+// build.js keeps the file in step with the content: an image whose
+// sidecar (or CMS entry) says hero: true gets an entry if it has
+// none; an entry goes when its image is gone or says hero: false.
+// Hand-added entries and fields otherwise stay as written.
+//
+// resolveRotation() turns the entries into the ordered list that
+// goes into content/index.json as `hero`, and site.js cycles:
+//   1. drop entries whose image is missing or whose end / max age
+//      has already passed
+//   2. pinned first, then heavier, then newest capture; keep
+//      settings.hero_max (default 10)
+//   3. repeat each by its weight, evenly spread through the cycle
+// Each item keeps its date window as `schedule: { start, end }`, so
+// site.js can hide heroes whose window opens or closes between
+// builds.
+//
+// ============================================================
+
+const fs   = require('fs');
+const path = require('path');
+
+const MANIFEST_FILE = 'hero-manifest.json';
+const HERO_MAX      = 10;
+const DAY_MS        = 86400000;
+
+// A sidecar's hero value → true, false, or null when left blank
+function flag(value) {
+  if (value === true  || value === 'true')  return true;
+  if (value === false || value === 'false') return false;
+  return null;
+}
+
+// Applies the content's hero flags to hero-manifest.json and writes
+// it back → the entries, in file order with new heroes appended.
+// `records` as returned by readContent().
+function updateManifest(rootDir, records) {
+  const file    = path.join(rootDir, MANIFEST_FILE);
+  const entries = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+
+  const flags = new Map();   // src → { hero, sidecar }
+  for (const { file, record } of records) {
+    flags.set(record.src, { hero: flag(record.hero), sidecar: `content/days/${file}` });
+  }
+
+  const kept = entries.filter(e => flags.has(e.src) && flags.get(e.src).hero !== false);
+  const have = new Set(kept.map(e => e.src));
+  for (const [src, f] of flags) {
+    if (f.hero === true && !have.has(src)) kept.push({ src, sidecar: f.sidecar });
+  }
+  const synced = kept.map(e => ({ ...e, sidecar: flags.get(e.src).sidecar }));
+  fs.writeFileSync(file, JSON.stringify(synced, null, 2));
+  return synced;
+}
+
+function addDays(date, n) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Smooth weighted round-robin: each item appears `weight` times, and
+// heavy items are spaced out rather than bunched together.
+function spread(items) {
+  const total   = items.reduce((n, it) => n + it.weight, 0);
+  const current = items.map(() => 0);
+  const out     = [];
+  for (let n = 0; n < total; n++) {
+    let best = 0;
+    items.forEach((it, i) => {
+      current[i] += it.weight;
+      if (current[i] > current[best]) best = i;
+    });
+    current[best] -= total;
+    out.push(items[best]);
+  }
+  // Start the cycle on the top item, so a pinned hero is what loads
+  const first = out.indexOf(items[0]);
+  return [...out.slice(first), ...out.slice(0, first)];
+}
+
+// Ordered rotation for index.json. `days` in index.json shape,
+// `today` as YYYY-MM-DD in the site's time zone.
+function resolveRotation(entries, days, settings, today) {
+  const images = new Map();
+  for (const day of days) {
+    for (const img of day.images) images.set(img.src, { ...img, location: img.location || day.location });
+  }
+
+  const maxAge = settings.hero_max_age_days;
+  const items  = [];
+  for (const entry of entries) {
+    const img = images.get(entry.src);
+    if (!img) continue;
+
+    const age   = entry.max_age_days !== undefined ? entry.max_age_days : maxAge;
+    const aged  = !entry.pin && typeof age === 'number' ? addDays(img.date, age) : null;
+    const end   = [entry.end, aged].filter(Boolean).sort()[0];
+    if (end && end < today) continue;
+
+    items.push({
+      img,
+      pin:      !!entry.pin,
+      weight:   Math.max(1, Math.round(entry.weight || 1)),
+      schedule: entry.start || end ? { start: entry.start, end } : undefined,
+    });
+  }
+
+  items.sort((a, b) =>
+    (b.pin - a.pin) ||
+    (b.weight - a.weight) ||
+    `${b.img.date} ${b.img.time}`.localeCompare(`${a.img.date} ${a.img.time}`));
+
+  return spread(items.slice(0, settings.hero_max || HERO_MAX)).map(it => {
+    const out = { ...it.img };
+    if (it.pin)      out.pin      = true;
+    if (it.schedule) out.schedule = it.schedule;
+    return out;
+  });
+}
+
+module.exports = { MANIFEST_FILE, updateManifest, resolveRotation };
@@ -0,0 +1,211 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — lib/images.js
+// ============================================================
+//
+// Build-time responsive derivatives for /static/uploads images.
+// Each upload gets resized JPEGs in static/derived/ plus a tiny
+// blur placeholder (named by derivedBase, e.g.
+// IMG_3320-1a2b3c4d.full.jpg), all recorded on the image in
+// index.json:
+//
+//   width, height → oriented size of the upload
+//   derivatives   → { thumb, medium, full }: { src, width, height }
+//                   (sizes at or above the upload's width are
+//                   skipped — `full` is always present)
+//   placeholder   → data: URI of a PLACEHOLDER_W px wide JPEG
+//   watermarked   → true when medium / full carry the settings.json
+//                   watermark (see lib/watermark.js)
+//
+// The derivatives are what the site publishes, so they also get
+// creator, copyright, licence and caption metadata written in.
+//
+// Uses ImageMagick (`magick`, or IM6 `convert`) from PATH. If it
+// isn't installed the build carries on without derivatives and
+// site.js falls back to the original src.
+//
+// An upload whose content hash matches the build cache (see
+// lib/cache.js), made with the same watermark, and whose files are
+// all still on disk is reused as-is, without running ImageMagick
+// at all. If only its metadata changed (a new caption, say) just
+// exiftool runs again.
+//
+// ============================================================
+
+const fs   = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { hashString } = require('./cache');
+const { MARKED, findExiftool, watermarkOf, watermarkArgs, metadataFor, writeMetadata } = require('./watermark');
+
+// Target widths in px. thumb covers a 13-col desktop row at 2x DPR;
+// full matches the 1600px the Shortcut exports at.
+const DERIVATIVES   = { thumb: 320, medium: 960, full: 1600 };
+const PLACEHOLDER_W = 16;
+const QUALITY       = 82;
+
+const DERIVED_DIR   = path.join('static', 'derived');
+
+let magick; // resolved command name, null once we know it's missing
+
+function findMagick() {
+  if (magick !== undefined) return magick;
+  magick = null;
+  for (const cmd of ['magick', 'convert']) {
+    try {
+      execFileSync(cmd, ['-version'], { stdio: 'ignore' });
+      magick = cmd;
+      break;
+    } catch (e) { /* try the next one */ }
+  }
+  return magick;
+}
+
+function run(args, opts = {}) {
+  return execFileSync(magick, args, { stdio: ['ignore', 'pipe', 'pipe'], ...opts });
+}
+
+// Oriented pixel size — iPhone portraits are stored sideways with an
+// EXIF rotation, so measure after -auto-orient like the derivatives.
+function measure(input) {
+  const out = run([`${input}[0]`, '-auto-orient', '-format', '%w %h', 'info:']).toString();
+  const [width, height] = out.trim().split(/\s+/).map(Number);
+  return { width, height };
+}
+
+// `extra` is applied after the resize — a watermark, say
+function resize(input, output, width, extra = []) {
+  run([input, '-auto-orient', '-resize', `${width}x`, ...extra, '-strip',
+       '-quality', String(QUALITY), '-interlace', 'Plane', output]);
+}
+
+// Raw 8-bit pixels of `input` squashed to exactly width × height,
+// row by row: one byte each for 'gray', three for 'rgb' — for
+// perceptual hashes (lib/bursts.js) and palettes (lib/colours.js)
+function rawPixels(input, width, height, format = 'gray') {
+  return run([`${input}[0]`, '-auto-orient', ...(format === 'gray' ? ['-colorspace', 'Gray'] : []),
+              '-resize', `${width}x${height}!`, '-depth', '8', `${format}:-`]);
+}
+
+// The local still a frame is analysed from, as a path under
+// rootDir: the upload for images, the built poster for videos
+// (lib/videos.js); null for remote frames without one
+function frameFile(img) {
+  const src = img.type === 'video' ? img.poster : img.src;
+  return src && src.startsWith('/static/') ? src.slice(1).split('?')[0] : null;
+}
+
+// HEIC (or anything ImageMagick reads) → JPEG, for `build.js ingest`.
+// Rotation is applied to the pixels so nothing downstream has to
+// honour an EXIF orientation flag.
+function convertToJpeg(input, output) {
+  run([`${input}[0]`, '-auto-orient', '-quality', '90', output]);
+}
+
+// Stem of a source's derived file names: its file name plus a short
+// hash of its src, so two sources that share a file name (an upload
+// and an R2 copy, two hosts) never write over each other's files
+function derivedBase(src) {
+  const clean = src.split('?')[0];
+  return `${path.basename(clean).replace(/\.[^.]+$/, '')}-${hashString(clean).slice(0, 8)}`;
+}
+
+// Every file a cached record points at, as paths under rootDir.
+function recordFiles(record, base) {
+  return [
+    ...Object.values(record.derivatives).map(d => d.src),
+    `/${DERIVED_DIR.split(path.sep).join('/')}/${base}.placeholder.jpg`,
+  ];
+}
+
+// Adds width/height/derivatives/placeholder (and watermarked) to
+// one image record. stats counts { generated, reused, retagged }
+// images across the build; `publish` is buildDerivatives'
+// { mark, stamp, settings, tagging }.
+function processImage(img, day, rootDir, stats, cache, publish) {
+  const input  = path.join(rootDir, img.src);
+  const base   = derivedBase(img.src);
+  const outDir = path.join(rootDir, DERIVED_DIR);
+  const hash   = cache.hashFile(img.src.slice(1));
+  const meta   = publish.tagging ? metadataFor(img, day, publish.settings) : null;
+  const tagged = meta && hashString(JSON.stringify(meta));
+  const cached = cache.get('derivatives', img.src);
+  // Files tagged last time but not this time would keep stale
+  // metadata, so those are made again
+  if (cached && cached.hash === hash && cached.stamp === publish.stamp && (meta || !cached.tagged) &&
+      recordFiles(cached.record, base).every(src => fs.existsSync(path.join(rootDir, src)))) {
+    if (meta && cached.tagged !== tagged) {
+      writeMetadata(Object.values(cached.record.derivatives).map(d => path.join(rootDir, d.src)), meta);
+      stats.retagged++;
+    } else {
+      stats.reused++;
+    }
+    cache.set('derivatives', img.src, { ...cached, tagged });
+    return { ...img, ...cached.record };
+  }
+
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const { width, height } = measure(input);
+  const derivatives = {};
+
+  for (const [name, target] of Object.entries(DERIVATIVES)) {
+    if (name !== 'full' && target >= width) continue;
+    const w      = Math.min(target, width);
+    const file   = `${base}.${name}.jpg`;
+    const output = path.join(outDir, file);
+
+    resize(input, output, w, publish.mark && MARKED.includes(name) ? watermarkArgs(publish.mark, w, rootDir) : []);
+    derivatives[name] = {
+      src:    `/${DERIVED_DIR.split(path.sep).join('/')}/${file}`,
+      width:  w,
+      height: Math.round(height * w / width),
+    };
+  }
+
+  const lqip = path.join(outDir, `${base}.placeholder.jpg`);
+  run([input, '-auto-orient', '-resize', `${PLACEHOLDER_W}x`, '-strip', '-quality', '40', lqip]);
+  const placeholder = `data:image/jpeg;base64,${fs.readFileSync(lqip).toString('base64')}`;
+
+  if (meta) writeMetadata(Object.values(derivatives).map(d => path.join(rootDir, d.src)), meta);
+
+  const record = { width, height, derivatives, placeholder, ...(publish.mark ? { watermarked: true } : {}) };
+  cache.set('derivatives', img.src, { hash, stamp: publish.stamp, tagged, record });
+  stats.generated++;
+  return { ...img, ...record };
+}
+
+// Runs processImage over every local upload in `days` (index.json
+// shape), in place. Videos and remote (R2) sources are left alone.
+function buildDerivatives(days, rootDir, cache, settings = {}) {
+  if (!findMagick()) {
+    console.warn('ImageMagick not found — skipping derivatives; the site will serve originals');
+    return null;
+  }
+
+  const mark    = watermarkOf(settings);
+  if (mark && mark.logo && !fs.existsSync(path.join(rootDir, mark.logo))) {
+    throw new Error(`settings.json: watermark.logo ${mark.logo} not found`);
+  }
+  const tagging = findExiftool();
+  if (!tagging) console.warn('exiftool not found — published images will carry no copyright or licence metadata');
+
+  // Anything that changes how the mark looks, the logo's pixels included
+  const stamp   = mark ? hashString(JSON.stringify(mark) + (mark.logo ? cache.hashFile(mark.logo) : '')) : null;
+  const publish = { mark, stamp, settings, tagging };
+  const stats   = { generated: 0, reused: 0, retagged: 0, failed: 0 };
+  for (const day of days) {
+    day.images = day.images.map(img => {
+      if (img.type !== 'image' || !img.src.startsWith('/static/uploads/')) return img;
+      try {
+        return processImage(img, day, rootDir, stats, cache, publish);
+      } catch (e) {
+        stats.failed++;
+        console.warn(`Derivatives failed for ${img.src}: ${(e.stderr || e.message).toString().trim()}`);
+        return img;
+      }
+    });
+  }
+  return stats;
+}
+
+module.exports = { DERIVATIVES, DERIVED_DIR, derivedBase, buildDerivatives, findMagick, convertToJpeg, rawPixels, frameFile };
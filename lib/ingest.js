@@ -0,0 +1,234 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — lib/ingest.js
+// ============================================================
+//
+// Brings camera files into the archive without the iOS Shortcut,
+// reading everything the Shortcut had to be told from EXIF:
+//
+//   node build.js ingest <folder> [--dry-run] [--location "<name>"]
+//
+// For each JPEG / HEIC / PNG / MP4 / MOV under <folder>:
+//   1. exiftool reads capture time, GPS, pixel size, rotation and
+//      camera model
+//   2. the file is copied to static/uploads/ as
+//      img_YYYY-MM-DD_HHMM.jpeg (vid_… for video); HEIC is
+//      converted to JPEG on the way
+//   3. a complete sidecar is written to content/days/ with the
+//      same name, `original` set to the camera filename
+//
+// Capture time is the camera's local wall-clock time:
+// DateTimeOriginal for photos; for video, Apple's CreationDate, or
+// else CreateDate. QuickTime's CreateDate is UTC, so it's moved into
+// the zone of --location (timezoneOf in lib/time.js) and the file
+// is flagged in the output to check — except from GoPros, which
+// write local time there, and when the tag carries its own offset.
+//
+// Two files shot in the same minute can't share a name, so the
+// later one falls back to IMG_3808_2026-03-22_0925 style — the
+// original filename in front, as older Shortcut uploads did. A file
+// whose camera name and capture time already appear in
+// content/days is skipped as already ingested.
+//
+// --dry-run prints the plan without copying or writing anything.
+// Needs exiftool on PATH, and ImageMagick for HEIC.
+//
+// ============================================================
+
+const fs   = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { FIELDS }                      = require('./schema');
+const { readContent }                 = require('./content');
+const { findMagick, convertToJpeg }   = require('./images');
+const { loadSettings }                = require('./settings');
+const { timezoneOf, tzOffsetMinutes } = require('./time');
+
+const UPLOADS_DIR = path.join('static', 'uploads');
+
+// What ingest accepts, and the extension each lands as
+const INGEST_TYPES = {
+  '.jpg':  { type: 'image', ext: '.jpeg' },
+  '.jpeg': { type: 'image', ext: '.jpeg' },
+  '.png':  { type: 'image', ext: '.png' },
+  '.heic': { type: 'image', ext: '.jpeg', convert: true },
+  '.mp4':  { type: 'video', ext: '.mp4' },
+  '.mov':  { type: 'video', ext: '.mov' },
+};
+
+const EXIF_TAGS = [
+  'DateTimeOriginal', 'CreationDate', 'CreateDate',
+  'GPSLatitude', 'GPSLongitude',
+  'ImageWidth', 'ImageHeight', 'Orientation', 'Rotation',
+  'Make', 'Model',
+];
+
+function walk(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return walk(full);
+    return entry.name.startsWith('.') ? [] : [full];
+  });
+}
+
+// One exiftool call for the whole folder; -n gives signed decimal
+// GPS and numeric orientation / rotation.
+function readExif(files) {
+  const out = execFileSync('exiftool', ['-json', '-n', ...EXIF_TAGS.map(t => `-${t}`), ...files], {
+    maxBuffer: 64 * 1024 * 1024,
+    stdio:     ['ignore', 'pipe', 'pipe'],
+  });
+  const byFile = new Map();
+  for (const tags of JSON.parse(out.toString())) byFile.set(path.resolve(tags.SourceFile), tags);
+  return byFile;
+}
+
+// "2026:03:15 07:15:30-05:00" → { date: '2026-03-15', time: '07:15' },
+// plus `note` when a video's UTC CreateDate was moved into `zone`
+function captureTime(tags, type, zone) {
+  const raw = type === 'video'
+    ? tags.CreationDate || tags.CreateDate
+    : tags.DateTimeOriginal || tags.CreateDate;
+  const m = typeof raw === 'string' &&
+    raw.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?/);
+  if (!m || m[1] === '0000') return null;
+
+  const utc = type === 'video' && !tags.CreationDate && !/^GoPro/i.test(String(tags.Make || ''));
+  if (!utc || (m[6] && m[6] !== 'Z')) return { date: `${m[1]}-${m[2]}-${m[3]}`, time: `${m[4]}:${m[5]}` };
+
+  const ms    = Date.UTC(+m[1], m[2] - 1, +m[3], +m[4], +m[5]);
+  const local = new Date(ms + tzOffsetMinutes(zone, ms) * 60000).toISOString();
+  return {
+    date: local.slice(0, 10),
+    time: local.slice(11, 16),
+    note: `time is CreateDate read as UTC and shown in ${zone} — check it`,
+  };
+}
+
+// Width/height as displayed: EXIF orientations 5–8 and video
+// rotations of 90/270 swap the stored axes.
+function orientationOf(tags) {
+  let { ImageWidth: w, ImageHeight: h } = tags;
+  if (!w || !h) return null;
+  if (tags.Orientation >= 5 || tags.Rotation === 90 || tags.Rotation === 270) [w, h] = [h, w];
+  return w >= h ? 'h' : 'v';
+}
+
+function cameraOf(tags) {
+  const make  = String(tags.Make || '').trim();
+  const model = String(tags.Model || '').trim();
+  if (!model) return make;
+  if (make === 'Apple') return model;   // "iPhone 15 Pro" says it already
+  return make && !model.toLowerCase().startsWith(make.toLowerCase()) ? `${make} ${model}` : model;
+}
+
+// Keys in schema order, like the sidecars the Shortcut writes
+function sidecar(fields) {
+  const out = {};
+  for (const key of Object.keys(FIELDS)) if (fields[key] !== undefined) out[key] = fields[key];
+  return out;
+}
+
+function plan(folder, rootDir, { location = '' } = {}) {
+  const daysDir = path.join(rootDir, 'content', 'days');
+  const { records } = readContent(daysDir, rootDir);
+  const zone = timezoneOf({ location }, loadSettings(rootDir)) || 'UTC';
+  const ingested = new Set(records.map(({ record: r }) => `${r.original}@${r.date} ${r.time}`));
+  const taken    = new Set([
+    ...fs.readdirSync(path.join(rootDir, UPLOADS_DIR)).map(f => f.replace(/\.[^.]+$/, '')),
+    ...fs.readdirSync(daysDir).map(f => f.replace(/\.json$/, '')),
+  ]);
+
+  const files   = walk(folder).filter(f => INGEST_TYPES[path.extname(f).toLowerCase()]).sort();
+  const exif    = files.length ? readExif(files) : new Map();
+  const items   = [];
+  const skipped = [];
+
+  for (const file of files) {
+    const kind     = INGEST_TYPES[path.extname(file).toLowerCase()];
+    const tags     = exif.get(path.resolve(file)) || {};
+    const original = path.basename(file).replace(/\.[^.]+$/, '');
+    const at       = captureTime(tags, kind.type, zone);
+
+    if (!at) { skipped.push({ file, reason: 'no capture time in EXIF' }); continue; }
+    if (ingested.has(`${original}@${at.date} ${at.time}`)) {
+      skipped.push({ file, reason: 'already ingested' });
+      continue;
+    }
+    if (kind.convert && !findMagick()) {
+      skipped.push({ file, reason: 'HEIC needs ImageMagick to convert' });
+      continue;
+    }
+
+    const stamp = `${at.date}_${at.time.replace(':', '')}`;
+    const base  = [`${kind.type === 'video' ? 'vid' : 'img'}_${stamp}`, `${original}_${stamp}`]
+      .find(name => !taken.has(name));
+    if (!base) { skipped.push({ file, reason: `name clash on ${stamp}` }); continue; }
+    taken.add(base);
+    ingested.add(`${original}@${at.date} ${at.time}`);
+
+    const gps   = typeof tags.GPSLatitude === 'number' && typeof tags.GPSLongitude === 'number';
+    const round = n => Math.round(n * 1e5) / 1e5;   // ~1 m
+
+    items.push({
+      file,
+      convert: !!kind.convert,
+      note:    at.note,
+      upload:  path.join(UPLOADS_DIR, base + kind.ext),
+      json:    `${base}.json`,
+      data:    sidecar({
+        src:         `/${UPLOADS_DIR.split(path.sep).join('/')}/${base}${kind.ext}`,
+        original,
+        type:        kind.type,
+        orientation: orientationOf(tags) || undefined,
+        time:        at.time,
+        date:        at.date,
+        caption:     '',
+        location,
+        weather:     '',
+        tag:         '',
+        hero:        'false',
+        lat:         gps ? round(tags.GPSLatitude)  : undefined,
+        lng:         gps ? round(tags.GPSLongitude) : undefined,
+        camera:      cameraOf(tags) || undefined,
+      }),
+    });
+  }
+  return { items, skipped };
+}
+
+function ingest(folder, rootDir, { dryRun = false, location } = {}) {
+  if (!folder || !fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) {
+    console.error('ingest: pass the folder to read, e.g. node build.js ingest ~/Pictures/export');
+    process.exit(1);
+  }
+  try {
+    execFileSync('exiftool', ['-ver'], { stdio: 'ignore' });
+  } catch (e) {
+    console.error('ingest: exiftool not found — install it (brew install exiftool) and try again');
+    process.exit(1);
+  }
+
+  const { items, skipped } = plan(folder, rootDir, { location });
+  const verb = dryRun ? 'would ' : '';
+
+  for (const item of items) {
+    const d     = item.data;
+    const facts = [d.type, `${d.date} ${d.time}`, d.orientation, d.camera,
+      d.lat !== undefined ? `${d.lat},${d.lng}` : 'no GPS'].filter(Boolean).join(' · ');
+    console.log(`${verb}${item.convert ? 'convert' : 'copy'} ${item.file} → ${item.upload}  (${facts})`);
+    if (item.note) console.warn(`  ${item.note}`);
+    if (dryRun) continue;
+
+    const dest = path.join(rootDir, item.upload);
+    if (item.convert) convertToJpeg(item.file, dest);
+    else fs.copyFileSync(item.file, dest);
+    fs.writeFileSync(path.join(rootDir, 'content', 'days', item.json), JSON.stringify(d));
+  }
+  for (const s of skipped) console.log(`skip ${s.file} — ${s.reason}`);
+
+  const converted = items.filter(i => i.convert).length;
+  console.log(`${dryRun ? 'Dry run — ' : ''}${items.length} files ingested` +
+    (converted ? ` (${converted} HEIC converted)` : '') + `, ${skipped.length} skipped`);
+}
+
+module.exports = { captureTime, ingest };
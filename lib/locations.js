@@ -0,0 +1,151 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — lib/locations.js
+// ============================================================
+//
+// content/locations.json lists the places the archive is shot, so
+// one beach isn't three spellings of it:
+//
+//   { "locations": [
+//     { "id":       "st-pete-beach",       → /location/st-pete-beach/
+//       "name":     "St. Pete Beach, FL",  → what the site shows
+//       "lat":      27.7253,               → weather and sun position
+//       "lng":      -82.7412,                for images without GPS
+//       "timezone": "America/New_York",
+//       "aliases":  ["St Pete Beach"] }    → other spellings in sidecars
+//   ] }
+//
+// A sidecar's location is matched against id, name and aliases,
+// ignoring case, punctuation and Saint / St., and replaced by the
+// registry name plus `location_id`. The place's lat / lng /
+// timezone fill in whatever the sidecar leaves out. Locations that
+// match nothing are kept as written and reported by build.js;
+// blank ones — including what the Shortcut writes when it had no
+// GPS: ", " or just the state, ", FL" — take the location most of
+// that day's images share.
+//
+// summarise() gives the per-location counts and date ranges for
+// the content/index.json manifest and the /location/ pages.
+//
+// ============================================================
+
+const fs   = require('fs');
+const path = require('path');
+
+const LOCATIONS_FILE = path.join('content', 'locations.json');
+
+// "Saint Pete Beach, FL" → "st pete beach fl"
+function normalise(name) {
+  return String(name || '').toLowerCase()
+    .replace(/\bsaint\b/g, 'st')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// No place named: empty, or a state with no city before it (", FL")
+function isBlank(location) {
+  return !normalise(location) || /^\s*,\s*[a-z]{2}\s*$/i.test(String(location));
+}
+
+// Reads the registry → { list, resolve(name), placeRecords(records),
+// summarise(days) }. resolve() gives the registry entry or null.
+function loadLocations(rootDir) {
+  const file  = path.join(rootDir, LOCATIONS_FILE);
+  const list  = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')).locations || [] : [];
+  const byKey = new Map();
+  for (const loc of list) {
+    for (const key of [loc.id, loc.name, ...(loc.aliases || [])]) {
+      const k = normalise(key);
+      if (byKey.has(k) && byKey.get(k) !== loc) {
+        console.warn(`${LOCATIONS_FILE}: "${key}" matches both ${byKey.get(k).id} and ${loc.id}`);
+      }
+      byKey.set(k, loc);
+    }
+  }
+  const registry = { list, resolve: name => byKey.get(normalise(name)) || null };
+  registry.placeRecords = records => placeRecords(records, registry);
+  registry.summarise    = days => summariseLocations(days, registry);
+  return registry;
+}
+
+// The record at `place`, keeping any lat / lng / timezone of its own
+function atPlace(record, place) {
+  const out = { ...record, location: place.name, location_id: place.id };
+  if (typeof out.lat !== 'number' && typeof place.lat === 'number') {
+    out.lat = place.lat;
+    out.lng = place.lng;
+  }
+  if (!out.timezone && place.timezone) out.timezone = place.timezone;
+  return out;
+}
+
+// Normalises every record's location. `records` as returned by
+// readContent(). Returns { records, unknown }, unknown being a Map
+// of unmatched location → image count.
+function placeRecords(records, registry) {
+  const unknown = new Map();
+  const placed  = records.map(item => {
+    const { location } = item.record;
+    if (isBlank(location)) return { ...item, record: { ...item.record, location: '' } };
+
+    const place = registry.resolve(location);
+    if (!place) unknown.set(location, (unknown.get(location) || 0) + 1);
+    return { ...item, record: place ? atPlace(item.record, place) : item.record };
+  });
+
+  // Blank locations → the day's most common one
+  const byDate = new Map();   // date → Map(location → count)
+  for (const { record } of placed) {
+    if (!record.location) continue;
+    const counts = byDate.get(record.date) || new Map();
+    counts.set(record.location, (counts.get(record.location) || 0) + 1);
+    byDate.set(record.date, counts);
+  }
+  for (const item of placed) {
+    if (item.record.location || !byDate.has(item.record.date)) continue;
+    const [main] = [...byDate.get(item.record.date)].sort((a, b) => b[1] - a[1])[0];
+    const place  = registry.resolve(main);
+    item.record  = place ? atPlace(item.record, place) : { ...item.record, location: main };
+  }
+
+  return { records: placed, unknown };
+}
+
+// "Unknown locations …" lines for the build log
+function formatUnknown(unknown) {
+  const lines = [...unknown].sort((a, b) => b[1] - a[1])
+    .map(([name, n]) => `  ${JSON.stringify(name)} — ${n} image${n === 1 ? '' : 's'}`);
+  return `Unknown locations (add them, or an alias, to ${LOCATIONS_FILE}):\n${lines.join('\n')}`;
+}
+
+// The image standing for a day's location: first one at the place
+// most of the day's images share.
+function mainImage(images) {
+  const counts = new Map();
+  for (const img of images) counts.set(img.location, (counts.get(img.location) || 0) + 1);
+  const top = Math.max(...counts.values());
+  return images.find(img => counts.get(img.location) === top);
+}
+
+// Per registry location, newest day first:
+//   { id, name, images, from, to, days: [{ date, images }] }
+// Locations with no images are left out.
+function summariseLocations(days, registry) {
+  const byId = new Map(registry.list.map(loc => [loc.id, { id: loc.id, name: loc.name, images: 0, days: [] }]));
+  for (const day of days) {
+    const counts = new Map();
+    for (const img of day.images) {
+      if (byId.has(img.location_id)) counts.set(img.location_id, (counts.get(img.location_id) || 0) + 1);
+    }
+    for (const [id, n] of counts) {
+      const loc = byId.get(id);
+      loc.images += n;
+      loc.days.push({ date: day.date, images: n });
+    }
+  }
+  return [...byId.values()]
+    .filter(loc => loc.images)
+    .map(({ days, ...loc }) => ({ ...loc, from: days[days.length - 1].date, to: days[0].date, days }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = { LOCATIONS_FILE, loadLocations, formatUnknown, mainImage };
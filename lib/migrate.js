@@ -0,0 +1,120 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — lib/migrate.js
+// ============================================================
+//
+// One-shot conversion of content/days between the two shapes
+// lib/content.js understands:
+//
+//   node build.js migrate --to days       sidecars → one Decap day
+//                                         entry per date (YYYY-MM-DD.json)
+//   node build.js migrate --to sidecars   day entries → one sidecar per
+//                                         image, named after its src
+//
+// Add --dry-run to print the plan without touching any files.
+// Refuses to run while content/days has schema errors, since a
+// file that fails validation would be dropped by the conversion.
+//
+// ============================================================
+
+const fs   = require('fs');
+const path = require('path');
+const { FIELDS, hasErrors, formatReport } = require('./schema');
+const { DAY_INHERITED, readContent }      = require('./content');
+const { compareTime }                     = require('./model');
+
+// Keys in schema order, then anything unknown in its original order,
+// so migrated files read like the ones the Shortcut and CMS write.
+function ordered(record, omit = []) {
+  const out  = {};
+  const keys = [...Object.keys(FIELDS), ...Object.keys(record)];
+  for (const key of keys) {
+    if (key in out || omit.includes(key) || record[key] === undefined) continue;
+    out[key] = record[key];
+  }
+  return out;
+}
+
+function planDays(records) {
+  const byDate = new Map();
+  for (const { record } of records) {
+    if (!byDate.has(record.date)) byDate.set(record.date, []);
+    byDate.get(record.date).push(record);
+  }
+
+  const writes = [];
+  for (const [date, images] of byDate) {
+    // Day values come from the first file read, as in build.js's dayMap.
+    // Coordinates only move up to the day when every image has the
+    // same ones — its images inherit them on the way back, so one
+    // pinned frame would otherwise put GPS on all the others.
+    const day   = { date, location: images[0].location || '' };
+    const first = images[0];
+    if (typeof first.lat === 'number' && typeof first.lng === 'number' &&
+        images.every(img => img.lat === first.lat && img.lng === first.lng)) {
+      day.lat = first.lat;
+      day.lng = first.lng;
+    }
+    images.sort(compareTime);
+
+    // Drop per-image copies of the day values; keep any that differ
+    day.images = images.map(img => {
+      const same = DAY_INHERITED.filter(key => img[key] === day[key] || key === 'date');
+      return ordered(img, same);
+    });
+
+    writes.push({ file: `${date}.json`, data: day, body: JSON.stringify(day, null, 2) + '\n' });
+  }
+  return writes;
+}
+
+function planSidecars(records) {
+  return records
+    .filter(r => r.index !== null)
+    .map(({ record }) => {
+      const base = path.basename(record.src.split('?')[0]).replace(/\.[^.]+$/, '');
+      return { file: `${base}.json`, data: record, body: JSON.stringify(ordered(record)) };
+    });
+}
+
+function migrate(daysDir, rootDir, { to, dryRun = false } = {}) {
+  if (to !== 'days' && to !== 'sidecars') {
+    console.error('migrate: pass --to days or --to sidecars');
+    process.exit(1);
+  }
+
+  const { files, entries, records, report } = readContent(daysDir, rootDir);
+  if (report.some(r => hasErrors(r.issues))) {
+    console.error(formatReport(report, files.length) + '\n');
+    console.error('migrate: fix the errors above first — invalid files would be lost');
+    process.exit(1);
+  }
+
+  const writes  = to === 'days' ? planDays(records) : planSidecars(records);
+  const targets = new Set(writes.map(w => w.file));
+
+  // → days: every source file is folded into a per-date entry
+  // → sidecars: only day entries go; existing sidecars stay put
+  const deletes = entries
+    .filter(e => (to === 'days' || e.shape === 'day') && !targets.has(e.file))
+    .map(e => e.file);
+
+  const dupe = writes.find((w, i) => writes.findIndex(o => o.file === w.file) !== i);
+  if (dupe) {
+    console.error(`migrate: two images would both be written to ${dupe.file}`);
+    process.exit(1);
+  }
+
+  const verb = dryRun ? 'would ' : '';
+  for (const w of writes) {
+    const what = to === 'days' ? `${w.data.images.length} images` : w.data.src;
+    console.log(`${verb}write  content/days/${w.file}  (${what})`);
+    if (!dryRun) fs.writeFileSync(path.join(daysDir, w.file), w.body);
+  }
+  for (const file of deletes) {
+    console.log(`${verb}delete content/days/${file}`);
+    if (!dryRun) fs.unlinkSync(path.join(daysDir, file));
+  }
+  console.log(`${dryRun ? 'Dry run — ' : ''}${writes.length} files written, ${deletes.length} removed (${to})`);
+}
+
+module.exports = { migrate };
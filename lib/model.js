@@ -0,0 +1,162 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — lib/model.js
+// ============================================================
+//
+// The content-model rules build.js and site.js share, kept in one
+// place so they can't drift. No dependencies and no Node APIs:
+// build.js requires it, and index.html loads the same file as a
+// plain script before site.js, where these become globals.
+//
+//   isHero(value)            → true for true or 'true' (the CMS
+//                              and Shortcuts write either)
+//   getTag(time)             → 'sunrise' before 12:00, else
+//                              'sunset' — only for images build.js
+//                              hasn't tagged from the sun (demo data)
+//   compareTime(a, b)        → sort order by HH:MM capture time
+//   assignSlugs(day)         → HHMM permalink slugs, -2, -3… for
+//                              the same minute
+//   normaliseImage(img, day) → the record both sides work from:
+//                              date, tag and a boolean hero
+//   calcCols(sr, ss, cols)   → a day strip's sunrise / gap / sunset
+//                              columns in a `cols`-wide grid
+//   getWeekSunday(date)      → the Sunday starting its week
+//   groupByWeek(days)        → [{ sunday, days }], newest first
+//   degreesToCardinal(deg)   → 'N' … 'NW'; '' without a direction
+//   formatWeather(w, units)  → '64°F · Clear · Wind SW 9mph' from a
+//                              structured reading (lib/weather.js),
+//                              'imperial' or 'metric'; '' for none
+//
+// Tests: test/model.test.js (node --test).
+//
+// ============================================================
+
+// A sidecar's hero value → boolean; blank and 'false' are false
+function isHero(value) {
+  return value === true || value === 'true';
+}
+
+// Fallback tag from the wall-clock time alone: before noon local =
+// sunrise, after = sunset. build.js splits at solar noon instead.
+function getTag(timeStr) {
+  const [h, m] = String(timeStr || '00:00').split(':').map(Number);
+  return (h + (m || 0) / 60) < 12 ? 'sunrise' : 'sunset';
+}
+
+// Direct string comparison of HH:MM, blanks first
+function compareTime(a, b) {
+  const ta = a.time || '';
+  const tb = b.time || '';
+  return ta < tb ? -1 : ta > tb ? 1 : 0;
+}
+
+// Sets img.slug on each image of a day that doesn't have one; images
+// must already be in time order so the -2 suffix goes to the later
+// file.
+function assignSlugs(day) {
+  const used = {};
+  for (const img of day.images) {
+    const base = (img.time || '0000').replace(':', '');
+    used[base] = (used[base] || 0) + 1;
+    img.slug   = img.slug || (used[base] === 1 ? base : `${base}-${used[base]}`);
+  }
+  return day;
+}
+
+// An image as read from a sidecar (or index.json) → the same with
+// its day's date, a tag and hero as a boolean. `day` supplies the
+// date for records that don't carry their own.
+function normaliseImage(img, day = {}) {
+  return {
+    ...img,
+    date: img.date || day.date,
+    tag:  img.tag || getTag(img.time),
+    hero: isHero(img.hero),
+  };
+}
+
+// Columns for a day strip in a grid `cols` wide: one column always
+// stays free for the gap zone, and neither side takes more than
+// half the rest unless the other side leaves it unused.
+function calcCols(sr, ss, cols) {
+  const availCols = cols - 1;                    // 1 col always reserved for gap
+  const half      = Math.floor(availCols / 2);   // max columns per side (symmetric)
+
+  const sunriseCols_ideal = Math.min(sr, half);
+  const sunsetCols        = Math.min(ss, availCols - sunriseCols_ideal);
+  const sunriseCols       = Math.min(sr, availCols - sunsetCols);
+  const gapCols           = cols - sunriseCols - sunsetCols;
+
+  return { sunriseCols, sunsetCols, gapCols };
+}
+
+// Returns the Sunday that starts the week containing a given date.
+// Pure calendar arithmetic in UTC, so the boundary doesn't move with
+// the viewer's zone.
+function getWeekSunday(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  date.setUTCDate(date.getUTCDate() - date.getUTCDay()); // 0 = Sunday
+  return date.toISOString().slice(0, 10);
+}
+
+// Groups days into weeks, newest week first.
+// Each week = { sunday: 'YYYY-MM-DD', days: [...] }
+// Within each week, days keep the order they came in (newest first).
+function groupByWeek(days) {
+  const weeks = [];
+  const map   = {};
+  days.forEach(day => {
+    const key = getWeekSunday(day.date);
+    if (!map[key]) {
+      map[key] = { sunday: key, days: [] };
+      weeks.push(map[key]);
+    }
+    map[key].days.push(day);
+  });
+  // Newest week first
+  weeks.sort((a, b) => b.sunday.localeCompare(a.sunday));
+  return weeks;
+}
+
+// Compass point a wind blows from; '' when the reading has no
+// direction
+function degreesToCardinal(deg) {
+  if (typeof deg !== 'number' || !Number.isFinite(deg)) return '';
+  const dirs = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+  return dirs[((Math.round(deg / 45) % 8) + 8) % 8];
+}
+
+// One line for a weather reading — temp in °C and wind_speed in m/s
+// in, `units` out. Plain strings (demo data) pass through untouched.
+function formatWeather(w, units = 'imperial') {
+  if (!w) return '';
+  if (typeof w === 'string') return w;
+
+  const metric = units === 'metric';
+  const parts  = [];
+  if (typeof w.temp === 'number') {
+    parts.push(metric ? `${Math.round(w.temp)}°C` : `${Math.round(w.temp * 9 / 5 + 32)}°F`);
+  }
+  if (w.conditions) parts.push(w.conditions);
+  if (typeof w.wind_speed === 'number') {
+    const speed = metric ? `${Math.round(w.wind_speed * 3.6)}km/h` : `${Math.round(w.wind_speed * 2.23694)}mph`;
+    const dir   = degreesToCardinal(w.wind_deg);
+    parts.push(`Wind ${dir ? `${dir} ` : ''}${speed}`);
+  }
+  return parts.join(' · ');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    isHero,
+    getTag,
+    compareTime,
+    assignSlugs,
+    normaliseImage,
+    calcCols,
+    getWeekSunday,
+    groupByWeek,
+    degreesToCardinal,
+    formatWeather,
+  };
+}
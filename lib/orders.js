@@ -0,0 +1,175 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — lib/orders.js
+// ============================================================
+//
+// Print orders from the lightbox form. Shared by the Netlify
+// Function (netlify/functions/order.js) and its local stand-in in
+// `node build.js --serve` (lib/serve.js), so both accept and
+// reject exactly the same orders.
+//
+// What can be ordered lives in content/settings.json:
+//
+//   "prints": {
+//     "email":    "info@…",   → where orders go; also the fallback
+//                               mailto when the function is down
+//     "currency": "USD",
+//     "min_ppi":  150,        → a size is offered only if the image
+//                               has this many pixels per inch along
+//                               both edges, printed the way it was
+//                               shot (landscape or portrait)
+//     "sizes":  [{ "id": "11x14", "label": "11 × 14 in",
+//                  "inches": [14, 11], "price": 65 }, …],
+//     "papers": [{ "id": "metallic", "label": "Metallic",
+//                  "price": 20 }, …]   → added per print
+//   }
+//
+// An order names the frame by its permalink (date + slug) and is
+// checked against the published index: the frame must exist, be a
+// photo, and the size must suit its resolution. The record keeps
+// the sidecar path and `original` filename so fulfilment can find
+// the HEIC in the camera roll.
+//
+// Accepted orders are POSTed as JSON to ORDER_WEBHOOK_URL (Zapier,
+// Make, a Slack workflow…). Without one the function answers 503
+// and the form falls back to an email.
+//
+// ============================================================
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const MAX_QUANTITY = 10;
+const EMAIL_RE     = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function loadPrints(rootDir) {
+  const file = path.join(rootDir, 'content', 'settings.json');
+  return (fs.existsSync(file) && JSON.parse(fs.readFileSync(file, 'utf8')).prints) || null;
+}
+
+// The image record for a permalink, from the month's index chunk,
+// or null.
+function findImage(rootDir, date, slug) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || !/^[\w-]+$/.test(slug || '')) return null;
+  const file = path.join(rootDir, 'content', 'index', `${date.slice(0, 7)}.json`);
+  if (!fs.existsSync(file)) return null;
+  const day = JSON.parse(fs.readFileSync(file, 'utf8')).find(d => d.date === date);
+  const img = day && day.images.find(i => i.slug === slug);
+  return img ? { ...img, date, location: img.location || day.location } : null;
+}
+
+// Whether `size` prints sharply from `img`, turned to match the
+// image's orientation. Images the build couldn't measure pass.
+function sizeFits(img, size, prints) {
+  if (!img.width || !img.height) return true;
+  const [long, short] = [...size.inches].sort((a, b) => b - a);
+  const minPpi        = prints.min_ppi || 0;
+  return Math.max(img.width, img.height) / long  >= minPpi &&
+         Math.min(img.width, img.height) / short >= minPpi;
+}
+
+function clean(value, max) {
+  return String(value == null ? '' : value).trim().slice(0, max);
+}
+
+// Checks a submitted order → { order } or { errors: [message, …] }.
+// `input` is the form's JSON body.
+function validateOrder(input, rootDir, prints, now = new Date()) {
+  const errors = [];
+  const img    = findImage(rootDir, input.date, input.slug);
+  const size   = prints.sizes.find(s => s.id === input.size);
+  const paper  = prints.papers.find(p => p.id === input.paper);
+  const qty    = Number(input.quantity);
+  const name   = clean(input.name, 120);
+  const email  = clean(input.email, 200);
+
+  if (!img)                            errors.push('That photo is not in the archive');
+  else if (img.type !== 'image')       errors.push('Only photos can be printed');
+  if (!size)                           errors.push('Choose a print size');
+  else if (img && img.type === 'image' && !sizeFits(img, size, prints)) {
+    errors.push(`${size.label} is too large for this photo's resolution`);
+  }
+  if (!paper)                          errors.push('Choose a paper');
+  if (!Number.isInteger(qty) || qty < 1 || qty > MAX_QUANTITY) {
+    errors.push(`Quantity must be 1–${MAX_QUANTITY}`);
+  }
+  if (!name)                           errors.push('Enter your name');
+  if (!EMAIL_RE.test(email))           errors.push('Enter a valid email address');
+  if (errors.length) return { errors };
+
+  const unit = size.price + (paper.price || 0);
+  return {
+    order: {
+      id:       `ord_${input.date.replace(/-/g, '')}_${input.slug}_${crypto.randomBytes(3).toString('hex')}`,
+      created:  now.toISOString(),
+      image: {
+        date:      img.date,
+        slug:      img.slug,
+        permalink: `/day/${img.date}/${img.slug}/`,
+        src:       img.src,
+        sidecar:   img.sidecar || null,
+        original:  img.original || null,
+        width:     img.width || null,
+        height:    img.height || null,
+        caption:   img.caption || '',
+        location:  img.location || '',
+      },
+      print: {
+        size:       size.id,
+        size_label: size.label,
+        paper:      paper.id,
+        quantity:   qty,
+        unit_price: unit,
+        total:      unit * qty,
+        currency:   prints.currency || 'USD',
+      },
+      customer: {
+        name,
+        email,
+        notes: clean(input.notes, 2000),
+      },
+    },
+  };
+}
+
+async function postToWebhook(url, order) {
+  const res = await fetch(url, {
+    method:  'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body:    JSON.stringify(order),
+  });
+  if (!res.ok) throw new Error(`order webhook ${res.status}`);
+}
+
+// One order request → { status, body }. `deliver(order)` hands an
+// accepted order on; it defaults to ORDER_WEBHOOK_URL from `env`.
+async function handleOrder({ method, body }, rootDir, { env = process.env, deliver } = {}) {
+  if (method !== 'POST') return { status: 405, body: { errors: ['POST an order as JSON'] } };
+
+  const prints = loadPrints(rootDir);
+  const send   = deliver || (env.ORDER_WEBHOOK_URL && (order => postToWebhook(env.ORDER_WEBHOOK_URL, order)));
+  if (!prints || !send) return { status: 503, body: { errors: ['Online ordering is not set up'] } };
+
+  let input;
+  try {
+    input = JSON.parse(body || '{}');
+  } catch (e) {
+    return { status: 400, body: { errors: ['Order must be JSON'] } };
+  }
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { status: 400, body: { errors: ['Order must be a JSON object'] } };
+  }
+
+  const { order, errors } = validateOrder(input, rootDir, prints);
+  if (errors) return { status: 422, body: { errors } };
+
+  try {
+    await send(order);
+  } catch (e) {
+    console.error(`Order ${order.id} not delivered: ${e.message}`);
+    return { status: 502, body: { errors: ['The order could not be sent — please try again or email us'] } };
+  }
+  return { status: 200, body: { id: order.id, total: order.print.total, currency: order.print.currency } };
+}
+
+module.exports = { validateOrder, handleOrder };
@@ -0,0 +1,270 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — lib/pages.js
+// ============================================================
+//
+// Static permalink pages, so shared links unfurl with the actual
+// photo in iMessage / Instagram / Slack:
+//
+//   /day/2026-03-22/        → day/2026-03-22/index.html
+//   /day/2026-03-22/0701/   → day/2026-03-22/0701/index.html
+//   /location/tampa/        → location/tampa/index.html
+//   /collection/gulf-sunsets/ → collection/gulf-sunsets/index.html
+//   /stats/                 → stats/index.html
+//   /colour/                → colour/index.html
+//
+// Each page is index.html with Open Graph / Twitter card meta
+// swapped in; site.js reads the path on load and opens the same
+// day, frame, location or collection, or the stats or colour
+// view. Image slugs are the HHMM capture time, with -2, -3… for
+// images shot in the same minute (assignSlugs in lib/model.js).
+//
+// A day's pages are only rewritten when that day, the template or
+// the settings changed since the last build (see lib/cache.js).
+// Location, collection, stats and colour pages are few and always
+// rewritten.
+//
+// ============================================================
+
+const fs   = require('fs');
+const path = require('path');
+const { hashString } = require('./cache');
+
+const PAGES_DIR            = 'day';
+const LOCATION_PAGES_DIR   = 'location';
+const COLLECTION_PAGES_DIR = 'collection';
+const STATS_PAGE_DIR       = 'stats';
+const COLOUR_PAGE_DIR      = 'colour';
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  })[c]);
+}
+
+function formatDateLabel(iso) {
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).toLocaleDateString('en-US', {
+    weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC',
+  });
+}
+
+function absolute(siteUrl, src) {
+  return /^https?:\/\//.test(src) ? src : `${siteUrl}${src}`;
+}
+
+// Best still for a preview card: the full derivative, else the upload.
+// Videos use their poster frame, or else borrow the day's first photo.
+function previewImage(img, day) {
+  if (img.type === 'video' && img.poster) return { src: img.poster };
+  const still = img.type === 'image' ? img : day.images.find(i => i.type === 'image');
+  if (!still) return null;
+  const full = still.derivatives && still.derivatives.full;
+  return full
+    ? { src: full.src, width: full.width, height: full.height }
+    : { src: still.src, width: still.width, height: still.height };
+}
+
+// "236 photos & videos over 14 days · February 3 – March 15, 2026"
+function describeLocation(loc) {
+  const date  = (iso, year) => new Date(`${iso}T00:00:00Z`).toLocaleDateString('en-US', {
+    month: 'long', day: 'numeric', year: year ? 'numeric' : undefined, timeZone: 'UTC',
+  });
+  const range = loc.from === loc.to
+    ? date(loc.to, true)
+    : `${date(loc.from, loc.from.slice(0, 4) !== loc.to.slice(0, 4))} – ${date(loc.to, true)}`;
+  const days  = loc.days.length;
+  return `${loc.images} photos & videos over ${days} day${days === 1 ? '' : 's'} · ${range}`;
+}
+
+function capitalise(str) {
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+function metaTags({ title, description, url, image, video, settings }) {
+  const tags = [
+    ['name',     'description',       description],
+    ['property', 'og:site_name',      settings.title],
+    ['property', 'og:type',           video ? 'video.other' : 'article'],
+    ['property', 'og:title',          title],
+    ['property', 'og:description',    description],
+    ['property', 'og:url',            url],
+    ['name',     'twitter:card',      image ? 'summary_large_image' : 'summary'],
+    ['name',     'twitter:title',     title],
+    ['name',     'twitter:description', description],
+  ];
+  if (image) {
+    const src = absolute(settings.site_url, image.src);
+    tags.push(['property', 'og:image', src], ['name', 'twitter:image', src]);
+    if (image.width)  tags.push(['property', 'og:image:width',  image.width]);
+    if (image.height) tags.push(['property', 'og:image:height', image.height]);
+  }
+  if (video) {
+    tags.push(['property', 'og:video', absolute(settings.site_url, video.src)],
+              ['property', 'og:video:type', 'video/mp4']);
+  }
+
+  return [
+    `<title>${escapeHtml(title)}</title>`,
+    `<link rel="canonical" href="${escapeHtml(url)}">`,
+    ...tags.map(([attr, key, value]) => `<meta ${attr}="${key}" content="${escapeHtml(value)}">`),
+  ].map(line => `  ${line}`).join('\n');
+}
+
+function renderPage(template, meta) {
+  return template.replace(/^\s*<title>.*<\/title>$/m, metaTags(meta));
+}
+
+function writePage(rootDir, route, html) {
+  const dir = path.join(rootDir, ...route.split('/').filter(Boolean));
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'index.html'), html);
+}
+
+// Writes a page per location in `locations` (from
+// lib/locations.js), replacing the last build's. Returns the count.
+function buildLocationPages(locations, days, template, rootDir, settings) {
+  const dir = path.join(rootDir, LOCATION_PAGES_DIR);
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  for (const loc of locations) {
+    const day = days.find(d => d.images.some(img => img.location_id === loc.id));   // newest
+    const img = day.images.find(i => i.location_id === loc.id);
+    const route = `/${LOCATION_PAGES_DIR}/${loc.id}/`;
+    writePage(rootDir, route, renderPage(template, {
+      title:       `${loc.name} — ${settings.title}`,
+      description: describeLocation(loc),
+      url:         `${settings.site_url}${route}`,
+      image:       previewImage(img, day),
+      settings,
+    }));
+  }
+  return locations.length;
+}
+
+// Writes a page per collection in `collections` (from
+// lib/collections.js), replacing the last build's. Returns the count.
+function buildCollectionPages(collections, template, rootDir, settings) {
+  const dir = path.join(rootDir, COLLECTION_PAGES_DIR);
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  for (const col of collections) {
+    const route = `/${COLLECTION_PAGES_DIR}/${col.id}/`;
+    const count = `${col.images.length} photos & videos`;
+    writePage(rootDir, route, renderPage(template, {
+      title:       `${col.title} — ${settings.title}`,
+      description: col.description || count,
+      url:         `${settings.site_url}${route}`,
+      image:       previewImage(col.cover, col),
+      settings,
+    }));
+  }
+  return collections.length;
+}
+
+// "330 photos & videos over 30 days · longest streak 12 days"
+function describeStats(stats) {
+  const { totals, streaks } = stats;
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  return `${totals.images} photos & videos over ${plural(totals.days, 'day')} · ` +
+    `longest streak ${plural(streaks.longest.days, 'day')}`;
+}
+
+// Writes the /stats/ page; its preview is the newest photo.
+function buildStatsPage(stats, days, template, rootDir, settings) {
+  const route = `/${STATS_PAGE_DIR}/`;
+  const day   = days.find(d => d.images.some(img => img.type === 'image')) || days[0];
+  writePage(rootDir, route, renderPage(template, {
+    title:       `Archive stats — ${settings.title}`,
+    description: describeStats(stats),
+    url:         `${settings.site_url}${route}`,
+    image:       day ? previewImage(day.images[0], day) : null,
+    settings,
+  }));
+}
+
+// Writes the /colour/ page. `colours` as summarised by
+// lib/colours.js, most frames first in the description.
+function buildColourPage(colours, days, template, rootDir, settings) {
+  const route = `/${COLOUR_PAGE_DIR}/`;
+  const day   = days.find(d => d.images.some(img => img.type === 'image')) || days[0];
+  const top   = [...colours].sort((a, b) => b.images - a.images).slice(0, 4);
+  writePage(rootDir, route, renderPage(template, {
+    title:       `By colour — ${settings.title}`,
+    description: top.length
+      ? `Sunrises and sunsets by colour: ${top.map(c => `${c.images} ${c.family}`).join(', ')}`
+      : 'Sunrises and sunsets by colour',
+    url:         `${settings.site_url}${route}`,
+    image:       day ? previewImage(day.images[0], day) : null,
+    settings,
+  }));
+}
+
+// Writes a page per day and per image, skipping days whose inputs
+// are unchanged, a page per location and per collection, and the
+// stats and colour pages. Returns { written, reused } day / image
+// page counts and the number of location and collection pages.
+function buildPages(days, rootDir, settings, cache, locations = [], collections = [], stats = null, colours = []) {
+  const template = fs.readFileSync(path.join(rootDir, 'index.html'), 'utf8');
+  const shared   = hashString(template + JSON.stringify(settings));
+  const pagesDir = path.join(rootDir, PAGES_DIR);
+
+  // Drop folders for days that are no longer in the archive
+  const dates = new Set(days.map(d => d.date));
+  if (fs.existsSync(pagesDir)) {
+    fs.readdirSync(pagesDir)
+      .filter(name => !dates.has(name))
+      .forEach(name => fs.rmSync(path.join(pagesDir, name), { recursive: true, force: true }));
+  }
+
+  let written = 0;
+  let reused  = 0;
+  for (const day of days) {
+    const hash   = hashString(shared + JSON.stringify(day));
+    const dayDir = path.join(pagesDir, day.date);
+    cache.set('pages', day.date, hash);
+    if (cache.get('pages', day.date) === hash && fs.existsSync(dayDir)) {
+      reused += 1 + day.images.length;
+      continue;
+    }
+    fs.rmSync(dayDir, { recursive: true, force: true });
+
+    const dateLabel = formatDateLabel(day.date);
+    const dayRoute  = `/${PAGES_DIR}/${day.date}/`;
+
+    writePage(rootDir, dayRoute, renderPage(template, {
+      title:       `${dateLabel} — ${settings.title}`,
+      description: [`${day.images.length} photos & videos`, day.location].filter(Boolean).join(' · '),
+      url:         `${settings.site_url}${dayRoute}`,
+      image:       previewImage(day.images[0], day),
+      settings,
+    }));
+    written++;
+
+    for (const img of day.images) {
+      const route = `${dayRoute}${img.slug}/`;
+      const facts = [capitalise(img.tag), img.time, img.location || day.location].filter(Boolean).join(' · ');
+      writePage(rootDir, route, renderPage(template, {
+        title:       `${img.caption || facts} — ${settings.title}`,
+        description: img.caption ? `${facts} · ${dateLabel}` : dateLabel,
+        url:         `${settings.site_url}${route}`,
+        image:       previewImage(img, day),
+        video:       img.type === 'video' ? img : null,
+        settings,
+      }));
+      written++;
+    }
+  }
+  if (stats) buildStatsPage(stats, days, template, rootDir, settings);
+  buildColourPage(colours, days, template, rootDir, settings);
+  return {
+    written,
+    reused,
+    locations:   buildLocationPages(locations, days, template, rootDir, settings),
+    collections: buildCollectionPages(collections, template, rootDir, settings),
+  };
+}
+
+module.exports = {
+  PAGES_DIR, LOCATION_PAGES_DIR, COLLECTION_PAGES_DIR, STATS_PAGE_DIR, COLOUR_PAGE_DIR, buildPages,
+  absolute, escapeHtml, formatDateLabel,
+};
@@ -0,0 +1,296 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — lib/schema.js
+// ============================================================
+//
+// Schema for content/days/*.json. build.js runs every sidecar
+// through validateSidecar() — or, for Decap day entries, runs
+// validateDayFields() plus validateImage() per expanded image —
+// and collects the issues into a per-file report (see
+// formatReport()).
+//
+//   error   → the record can't be placed correctly; it is
+//             skipped, and `node build.js --strict` exits 1
+//   warning → suspicious but usable; the record still ships
+//
+// ============================================================
+
+const fs   = require('fs');
+const path = require('path');
+const { isTimeZone } = require('./time');
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Filenames from the Shortcut / CMS carry the capture date:
+//   img_2026-03-15_0811.json, IMG_3320_2026-03-15_0811.json, vid_…
+const FILENAME_DATE_RE = /(\d{4}-\d{2}-\d{2})_\d{4}\.json$/;
+
+// Decap day entries are slugged by date alone: 2026-03-22.json
+const DAY_FILENAME_RE = /^(\d{4}-\d{2}-\d{2})\.json$/;
+
+const EXTENSIONS = {
+  image: ['.jpg', '.jpeg', '.png', '.webp', '.heic'],
+  video: ['.mp4', '.mov', '.m4v', '.webm'],
+};
+
+
+// ── FIELDS ──────────────────────────────────────────────────
+// type    → typeof the value must be one of these
+// blank   → '' is allowed (treated as "unset")
+// enum    → allowed values once blanks are excluded
+// pattern → regex the string must match, `hint` explains it
+
+const FIELDS = {
+  src:         { type: ['string'], required: true },
+  original:    { type: ['string'], blank: true },
+  type:        { type: ['string'], required: true, enum: ['image', 'video'] },
+  orientation: { type: ['string'], enum: ['h', 'v'] },
+  time:        { type: ['string'], required: true, pattern: TIME_RE, hint: 'HH:MM, 24-hour' },
+  date:        { type: ['string'], required: true, pattern: DATE_RE, hint: 'YYYY-MM-DD' },
+  caption:     { type: ['string'], blank: true },
+  location:    { type: ['string'], blank: true },
+  weather:     { type: ['string', 'object'], blank: true },
+  tag:         { type: ['string'], blank: true, enum: ['sunrise', 'sunset'] },
+  hero:        { type: ['boolean', 'string'], enum: [true, false, 'true', 'false'] },
+  lat:         { type: ['number'], min: -90,  max: 90 },
+  lng:         { type: ['number'], min: -180, max: 180 },
+  thumb:       { type: ['string'], blank: true },
+  camera:      { type: ['string'], blank: true },
+  timezone:    { type: ['string'], blank: true },
+};
+
+// Day-level fields of a Decap day entry; `images` is checked
+// item by item against FIELDS once the day fields are inherited.
+const DAY_FIELDS = {
+  date:        FIELDS.date,
+  location:    FIELDS.location,
+  lat:         FIELDS.lat,
+  lng:         FIELDS.lng,
+  timezone:    FIELDS.timezone,
+};
+
+
+// ── VALIDATION ──────────────────────────────────────────────
+
+function isRealDate(str) {
+  const [y, m, d] = str.split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  return dt.getUTCFullYear() === y && dt.getUTCMonth() === m - 1 && dt.getUTCDate() === d;
+}
+
+// IANA zone names, e.g. America/New_York — Intl knows which exist
+function checkTimeZone(name, value, issues) {
+  if (typeof value === 'string' && value && !isTimeZone(value)) {
+    issues.push({ level: 'error', field: name, message: `${JSON.stringify(value)} is not an IANA time zone, e.g. America/New_York` });
+  }
+}
+
+function checkField(name, value, rule, issues) {
+  const err  = message => issues.push({ level: 'error',   field: name, message });
+  const warn = message => issues.push({ level: 'warning', field: name, message });
+
+  if (value === undefined || value === null) {
+    if (rule.required) err('missing');
+    return;
+  }
+  if (!rule.type.includes(typeof value)) {
+    err(`expected ${rule.type.join(' or ')}, got ${typeof value} ${JSON.stringify(value)}`);
+    return;
+  }
+  if (value === '') {
+    if (rule.required) err('empty');
+    else if (!rule.blank) warn('empty string — treated as unset');
+    return;
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    const allowed = rule.enum.map(v => JSON.stringify(v)).join(', ');
+    err(`${JSON.stringify(value)} is not one of ${allowed}`);
+    return;
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    err(`${JSON.stringify(value)} is not ${rule.hint}`);
+    return;
+  }
+  if (typeof value === 'number' && (value < rule.min || value > rule.max)) {
+    err(`${value} is outside ${rule.min}…${rule.max}`);
+  }
+}
+
+// Validates one image record. `ctx` carries what the checks need
+// beyond the record itself:
+//   file    → sidecar filename, e.g. img_2026-03-15_0811.json
+//   rootDir → repo root, used to resolve /static/uploads/… paths
+//   seen    → Map of src → filename, shared across the whole build
+// For images inside a day entry, `prefix` labels the issues
+// (e.g. "images[2].") and `raw` is the item as written, before the
+// day's date/location were inherited into `data`.
+// Returns an array of { level, field, message }.
+function validateImage(data, ctx, prefix = '', raw = data) {
+  const issues = [];
+  const at     = name => prefix + name;
+
+  for (const [name, rule] of Object.entries(FIELDS)) {
+    checkField(at(name), data[name], rule, issues);
+  }
+  for (const name of Object.keys(raw)) {
+    if (!FIELDS[name]) {
+      issues.push({ level: 'warning', field: at(name), message: 'unknown field' });
+    }
+  }
+
+  const bad = name => issues.some(i => i.level === 'error' && i.field === at(name));
+
+  if (!bad('timezone')) checkTimeZone(at('timezone'), data.timezone, issues);
+
+  if (!bad('date')) {
+    if (!isRealDate(data.date)) {
+      issues.push({ level: 'error', field: at('date'), message: `${data.date} is not a real calendar date` });
+    } else {
+      const m = ctx.file.match(FILENAME_DATE_RE);
+      if (m && m[1] !== data.date) {
+        issues.push({ level: 'error', field: at('date'), message: `${data.date} disagrees with filename date ${m[1]}` });
+      }
+    }
+  }
+
+  if (!bad('src')) {
+    const ext = path.extname(data.src.split('?')[0]).toLowerCase();
+    if (!bad('type')) {
+      const allowed = EXTENSIONS[data.type];
+      if (!allowed.includes(ext)) {
+        issues.push({ level: 'error', field: at('type'), message: `"${data.type}" does not match ${ext || 'extensionless'} src` });
+      }
+    }
+
+    if (data.src.startsWith('/static/uploads/')) {
+      if (!fs.existsSync(path.join(ctx.rootDir, data.src))) {
+        issues.push({ level: 'error', field: at('src'), message: `${data.src} does not exist` });
+      }
+    } else if (!/^https?:\/\//.test(data.src)) {
+      issues.push({ level: 'error', field: at('src'), message: `${data.src} is neither /static/uploads/… nor an http(s) URL` });
+    }
+
+    const prev = ctx.seen.get(data.src);
+    if (prev) {
+      issues.push({ level: 'error', field: at('src'), message: `duplicate of ${prev}` });
+    } else {
+      ctx.seen.set(data.src, ctx.file);
+    }
+  }
+
+  return issues;
+}
+
+function validateSidecar(data, ctx) {
+  if (!isObject(data)) {
+    return [{ level: 'error', field: null, message: 'sidecar must be a JSON object' }];
+  }
+  return validateImage(data, ctx);
+}
+
+// Day-level checks for a Decap day entry. The images themselves are
+// validated separately, after inheritance, with validateImage().
+function validateDayFields(data, ctx) {
+  const issues = [];
+
+  for (const [name, rule] of Object.entries(DAY_FIELDS)) {
+    checkField(name, data[name], rule, issues);
+  }
+  for (const name of Object.keys(data)) {
+    if (!DAY_FIELDS[name] && name !== 'images') {
+      issues.push({ level: 'warning', field: name, message: 'unknown field' });
+    }
+  }
+
+  if (!issues.some(i => i.level === 'error' && i.field === 'timezone')) {
+    checkTimeZone('timezone', data.timezone, issues);
+  }
+
+  if (!issues.some(i => i.level === 'error' && i.field === 'date')) {
+    const m = ctx.file.match(DAY_FILENAME_RE);
+    if (!isRealDate(data.date)) {
+      issues.push({ level: 'error', field: 'date', message: `${data.date} is not a real calendar date` });
+    } else if (m && m[1] !== data.date) {
+      issues.push({ level: 'error', field: 'date', message: `${data.date} disagrees with filename date ${m[1]}` });
+    }
+  }
+
+  if (!Array.isArray(data.images) || data.images.length === 0) {
+    issues.push({ level: 'error', field: 'images', message: 'must be a non-empty list' });
+  } else {
+    data.images.forEach((img, n) => {
+      if (!isObject(img)) {
+        issues.push({ level: 'error', field: `images[${n}]`, message: 'must be an object' });
+      } else if (img.date && img.date !== data.date) {
+        issues.push({ level: 'error', field: `images[${n}].date`, message: `${img.date} disagrees with day date ${data.date}` });
+      }
+    });
+  }
+
+  return issues;
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function hasErrors(issues) {
+  return issues.some(i => i.level === 'error');
+}
+
+
+// ── REPORT ──────────────────────────────────────────────────
+// report: Array of { file, issues[] } — only files with issues.
+// Files with errors are listed in full; warning-only files are
+// tallied by message so 100 blank `hero` fields read as one line
+// (day-entry positions fold together: images[3].hero → images[*].hero).
+//
+//   content/days/img_2026-03-15_0811.json
+//     ✗ time        "7:11" is not HH:MM, 24-hour
+//     ! hero        empty string — treated as unset
+//
+//   ! hero        empty string — treated as unset  (138 files, e.g. img_…)
+
+function formatIssue(i) {
+  const mark = i.level === 'error' ? '✗' : '!';
+  return `${mark} ${(i.field || '').padEnd(11)} ${i.message}`;
+}
+
+function formatReport(report, totalFiles) {
+  const lines  = [];
+  const tally  = new Map();   // formatted warning → Set of filenames
+  let errors   = 0, warnings = 0, badFiles = 0;
+
+  for (const { file, issues } of report) {
+    errors   += issues.filter(i => i.level === 'error').length;
+    warnings += issues.filter(i => i.level === 'warning').length;
+
+    if (hasErrors(issues)) {
+      badFiles++;
+      lines.push(`content/days/${file}`);
+      issues.forEach(i => lines.push(`  ${formatIssue(i)}`));
+      lines.push('');
+      continue;
+    }
+    for (const i of issues) {
+      const key = formatIssue({ ...i, field: i.field && i.field.replace(/\[\d+\]/g, '[*]') });
+      if (!tally.has(key)) tally.set(key, new Set());
+      tally.get(key).add(file);
+    }
+  }
+
+  for (const [key, fileSet] of tally) {
+    const names = [...fileSet];
+    const where = names.length === 1 ? names[0] : `${names.length} files, e.g. ${names[0]}`;
+    lines.push(`${key}  (${where})`);
+  }
+  if (tally.size) lines.push('');
+
+  lines.push(`Checked ${totalFiles} files — ${errors} errors in ${badFiles} files, ${warnings} warnings`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  FIELDS, DAY_FIELDS,
+  validateSidecar, validateDayFields, validateImage, hasErrors, formatReport,
+};
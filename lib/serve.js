@@ -0,0 +1,314 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — lib/serve.js
+// ============================================================
+//
+// `node build.js --serve [--port 8888]` builds, then serves the
+// site at http://localhost:8888 roughly the way Netlify does:
+//
+//   /…                            → files from the repo root;
+//                                   folders as their index.html
+//   POST /.netlify/functions/order → lib/orders.js, the same code
+//                                   the real function runs, but
+//                                   each accepted order is written
+//                                   to .cache/orders/<id>.json
+//                                   instead of ORDER_WEBHOOK_URL
+//
+// Dot-paths (.cache, .env, .git) are never served, as on Netlify.
+// Offline and without dependencies — for trying the print form,
+// not for production.
+//
+// `--serve --watch` adds a dev loop on top (watch() below):
+//
+//   content/days, static/uploads,   → rebuild, then reload open pages
+//   content/*.json, collections,
+//   index.html
+//   site.js, lib/model.js           → reload (nothing to rebuild)
+//   style.css                       → swap the stylesheet in place
+//
+// Every HTML page gets a small script (LIVE_SCRIPT) that listens on
+// /__live for those events and shows the last build's warnings and
+// errors in an overlay, so a bad sidecar is seen, not scrolled past.
+//
+// ============================================================
+
+const fs   = require('fs');
+const path = require('path');
+const http = require('http');
+const { handleOrder } = require('./orders');
+
+const ORDERS_DIR = path.join('.cache', 'orders');
+const MAX_BODY   = 64 * 1024;
+const LIVE_PATH  = '/__live';
+const DEBOUNCE   = 150;   // ms — editors save in bursts
+
+// What to watch (relative to the root) and what a change there means
+const WATCHED = [
+  { path: 'content/days',           action: 'rebuild' },
+  { path: 'content/collections',    action: 'rebuild' },
+  { path: 'content/settings.json',  action: 'rebuild' },
+  { path: 'content/locations.json', action: 'rebuild' },
+  { path: 'static/uploads',         action: 'rebuild' },
+  { path: 'index.html',             action: 'rebuild' },
+  { path: 'site.js',                action: 'reload' },
+  { path: 'lib/model.js',           action: 'reload' },
+  { path: 'style.css',              action: 'css' },
+];
+
+const TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js':   'text/javascript; charset=utf-8',
+  '.css':  'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.xml':  'application/xml',
+  '.yml':  'text/yaml',
+  '.svg':  'image/svg+xml',
+  '.jpeg': 'image/jpeg',
+  '.jpg':  'image/jpeg',
+  '.png':  'image/png',
+  '.webp': 'image/webp',
+  '.mp4':  'video/mp4',
+  '.mov':  'video/quicktime',
+  '.gif':  'image/gif',
+  '.ico':  'image/x-icon',
+  '.txt':  'text/plain; charset=utf-8',
+};
+
+// Injected before </body> in watch mode. Plain ES5-ish so it runs
+// wherever the site does; everything lives on #live-overlay.
+const LIVE_SCRIPT = `<script>
+(function () {
+  var source = new EventSource('${LIVE_PATH}');
+  source.addEventListener('reload', function () { location.reload(); });
+  source.addEventListener('css', function () {
+    document.querySelectorAll('link[rel=stylesheet]').forEach(function (link) {
+      link.href = link.href.replace(/([?&])live=\\d+|$/, function (m, sep) { return (sep || (link.href.indexOf('?') < 0 ? '?' : '&')) + 'live=' + Date.now(); });
+    });
+  });
+  source.addEventListener('build', function (e) {
+    var build = JSON.parse(e.data);
+    var el    = document.getElementById('live-overlay');
+    if (!build.error && !build.warnings.length) { if (el) el.remove(); return; }
+    if (!el) {
+      el = document.createElement('div');
+      el.id = 'live-overlay';
+      el.style.cssText = 'position:fixed;left:12px;right:12px;bottom:12px;max-height:45vh;overflow:auto;z-index:99999;' +
+        'background:rgba(20,18,14,0.94);color:#f7f5f0;font:12px/1.5 ui-monospace,Menlo,monospace;padding:14px 16px;' +
+        'border-left:4px solid #e0a040;white-space:pre-wrap;cursor:pointer';
+      el.title = 'Click to hide until the next build';
+      el.onclick = function () { el.remove(); };
+      document.body.appendChild(el);
+    }
+    el.style.borderLeftColor = build.error ? '#e05040' : '#e0a040';
+    el.textContent = (build.error ? 'Build failed: ' + build.error + '\\n\\n' : 'Build warnings\\n\\n') + build.warnings.join('\\n');
+  });
+})();
+</script>`;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY) reject(new Error('body too large'));
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, type, body) {
+  res.writeHead(status, { 'Content-Type': type });
+  res.end(body);
+}
+
+// Static file, with byte ranges so Safari will play videos. Folders
+// answer with their index.html, redirecting /day/x to /day/x/ first
+// as Netlify's pretty URLs do. `live` → no caching, and HTML gets
+// LIVE_SCRIPT.
+function serveFile(rootDir, pathname, req, res, live) {
+  let parts;
+  try {
+    parts = decodeURIComponent(pathname).split('/').filter(Boolean);
+  } catch (e) {
+    return send(res, 400, 'text/plain', 'Bad request');   // a malformed %-escape
+  }
+  if (parts.some(p => p.startsWith('.'))) return send(res, 404, 'text/plain', 'Not found');
+
+  let file = path.join(rootDir, ...parts);
+  if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+    if (!pathname.endsWith('/')) {
+      const { search } = new URL(req.url, 'http://localhost');
+      res.writeHead(301, { Location: `${pathname}/${search}` });
+      return res.end();
+    }
+    file = path.join(file, 'index.html');
+  }
+  if (!fs.existsSync(file)) return send(res, 404, 'text/plain', 'Not found');
+
+  const size  = fs.statSync(file).size;
+  const type  = TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+  if (live) res.setHeader('Cache-Control', 'no-store');
+  if (live && type.startsWith('text/html')) {
+    const html = fs.readFileSync(file, 'utf8');
+    return send(res, 200, type, html.includes('</body>') ? html.replace('</body>', `${LIVE_SCRIPT}\n</body>`) : html + LIVE_SCRIPT);
+  }
+  const range = (req.headers.range || '').match(/^bytes=(\d*)-(\d*)$/);
+  if (range && size) {
+    const start = range[1] ? Number(range[1]) : Math.max(0, size - Number(range[2]));
+    const end   = range[1] && range[2] ? Math.min(Number(range[2]), size - 1) : size - 1;
+    res.writeHead(206, {
+      'Content-Type':   type,
+      'Content-Range':  `bytes ${start}-${end}/${size}`,
+      'Content-Length': end - start + 1,
+      'Accept-Ranges':  'bytes',
+    });
+    return fs.createReadStream(file, { start, end }).pipe(res);
+  }
+  res.writeHead(200, { 'Content-Type': type, 'Content-Length': size, 'Accept-Ranges': 'bytes' });
+  fs.createReadStream(file).pipe(res);
+}
+
+// Writes an accepted order where the webhook would have sent it
+function saveOrder(rootDir, order) {
+  const dir = path.join(rootDir, ORDERS_DIR);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${order.id}.json`), JSON.stringify(order, null, 2));
+  console.log(`Order ${order.id} — ${order.print.quantity} × ${order.print.size_label} ${order.print.paper}, ` +
+    `${order.image.original || order.image.src} → ${path.join(ORDERS_DIR, `${order.id}.json`)}`);
+}
+
+async function serveOrder(rootDir, req, res) {
+  let body;
+  try {
+    body = await readBody(req);
+  } catch (e) {
+    return send(res, 413, 'application/json', JSON.stringify({ errors: ['Order too large'] }));
+  }
+  const result = await handleOrder({ method: req.method, body }, rootDir, {
+    deliver: async order => saveOrder(rootDir, order),
+  });
+  send(res, result.status, 'application/json', JSON.stringify(result.body));
+}
+
+// Starts the server; resolves once it is listening, rejects if it
+// can't (the port is taken, say). With `live`, pages get
+// LIVE_SCRIPT and server.notify(event, data) reaches them.
+function serve(rootDir, { port = 8888, live = false } = {}) {
+  const clients = new Set();
+  let   last    = null;   // the latest 'build' event, for pages opened after it
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname === '/.netlify/functions/order') {
+      serveOrder(rootDir, req, res).catch(e => send(res, 500, 'text/plain', e.message));
+    } else if (live && pathname === LIVE_PATH) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', Connection: 'keep-alive' });
+      res.write(': connected\n\n');
+      if (last) res.write(last);
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+    } else {
+      serveFile(rootDir, pathname, req, res, live);
+    }
+  });
+
+  server.notify = (event, data = {}) => {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    if (event === 'build') last = message;
+    clients.forEach(res => res.write(message));
+  };
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      server.off('error', reject);
+      console.log(`Serving http://localhost:${port} — print orders go to ${ORDERS_DIR}/` +
+        (live ? ', watching for changes' : '') + ' (Ctrl-C to stop)');
+      resolve(server);
+    });
+  });
+}
+
+// Runs `build` with console.warn / console.error also collected →
+// { warnings, error }. The build's own output still prints.
+async function captureBuild(build) {
+  const warnings = [];
+  const { warn, error } = console;
+  console.warn  = (...args) => { warnings.push(args.join(' ').trim()); warn(...args); };
+  console.error = (...args) => { warnings.push(args.join(' ').trim()); error(...args); };
+  try {
+    await build();
+    return { warnings, error: null };
+  } catch (e) {
+    error(`Build failed: ${e.message}`);
+    return { warnings, error: e.message };
+  } finally {
+    console.warn  = warn;
+    console.error = error;
+  }
+}
+
+// Watches WATCHED under rootDir and acts on changes: `rebuild` runs
+// build() (one at a time; changes during a build queue one more),
+// then pages reload with its warnings. `firstBuild` is the result of
+// the build that ran before serving, from captureBuild().
+function watch(rootDir, server, build, firstBuild) {
+  let timer   = null;
+  let running = null;
+  let pending = new Set();
+
+  server.notify('build', firstBuild);
+
+  async function flush() {
+    if (running) return;
+    const actions = pending;
+    pending = new Set();
+    if (actions.has('rebuild')) {
+      running = captureBuild(build);
+      const result = await running;
+      running = null;
+      server.notify('build', result);
+      server.notify('reload');
+      if (pending.size) flush();
+    } else if (actions.has('reload')) {
+      server.notify('reload');
+    } else if (actions.has('css')) {
+      server.notify('css');
+    }
+  }
+
+  function changed(rel, action) {
+    console.log(`Changed ${rel}`);
+    pending.add(action);
+    clearTimeout(timer);
+    timer = setTimeout(flush, DEBOUNCE);
+  }
+
+  // Folders are watched recursively; single files through their
+  // folder, by name. Editors that save by writing a temp file and
+  // renaming it over the old one replace the file, and a watcher on
+  // the file itself goes quiet after the first save.
+  const files = new Map();   // folder → Map(file name → WATCHED entry)
+  for (const entry of WATCHED) {
+    const target = path.join(rootDir, entry.path);
+    if (!fs.existsSync(target)) continue;
+    if (fs.statSync(target).isDirectory()) {
+      fs.watch(target, { recursive: true }, (type, name) => {
+        if (name && path.basename(String(name)).startsWith('.')) return;   // editor swap files
+        changed(name ? `${entry.path}/${name}` : entry.path, entry.action);
+      });
+    } else {
+      const dir = path.dirname(target);
+      if (!files.has(dir)) files.set(dir, new Map());
+      files.get(dir).set(path.basename(target), entry);
+    }
+  }
+  for (const [dir, byName] of files) {
+    fs.watch(dir, (type, name) => {
+      const entry = name && byName.get(String(name));
+      if (entry) changed(entry.path, entry.action);
+    });
+  }
+}
+
+module.exports = { ORDERS_DIR, serve, captureBuild, watch };
@@ -0,0 +1,28 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — lib/settings.js
+// ============================================================
+//
+// Site-wide settings for build.js: content/settings.json, plus
+// `site_url` from admin/config.yml when settings.json doesn't set
+// one. site_url is returned without a trailing slash.
+//
+// ============================================================
+
+const fs   = require('fs');
+const path = require('path');
+
+function loadSettings(rootDir) {
+  const file     = path.join(rootDir, 'content', 'settings.json');
+  const settings = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+
+  if (!settings.site_url) {
+    const config = path.join(rootDir, 'admin', 'config.yml');
+    const match  = fs.existsSync(config) && fs.readFileSync(config, 'utf8').match(/^site_url:\s*(\S+)/m);
+    if (match) settings.site_url = match[1];
+  }
+  settings.site_url = (settings.site_url || '').replace(/\/+$/, '');
+
+  return settings;
+}
+
+module.exports = { loadSettings };
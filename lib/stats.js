@@ -0,0 +1,122 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — lib/stats.js
+// ============================================================
+//
+// Archive statistics for the /stats/ view, computed from the same
+// days[] that goes into content/index.json and written beside the
+// chunks as content/index/stats.json:
+//
+//   {
+//     generated: '2026-03-31',          → "today" where the site lives
+//     totals:    { images, photos, videos, days, locations,
+//                  from, to },
+//     streaks:   { current: { days, from, to },   → consecutive days
+//                  longest: { days, from, to } }     with a shot;
+//                                                    current is 0
+//                                                    unless the last
+//                                                    was today or
+//                                                    yesterday
+//     light:     { sunrise, sunset },
+//     months:    [{ month: '2026-03', days, images,   → oldest first,
+//                   sunrise, sunset }, …]               gaps as zeros
+//     locations: [{ id, name, images, days }, …]    → most images first
+//     earliest:  { time, date, slug, location },    → by the capture
+//     latest:    { time, date, slug, location }       wall clock
+//   }
+//
+// ============================================================
+
+// 'YYYY-MM-DD' → the next / previous calendar date
+function shiftDate(iso, days) {
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+// 'YYYY-MM' → the month after
+function nextMonth(month) {
+  const [y, m] = month.split('-').map(Number);
+  return m === 12 ? `${y + 1}-01` : `${y}-${String(m + 1).padStart(2, '0')}`;
+}
+
+// Runs of consecutive dates in `dates` (oldest first) →
+// { current, longest }, each { days, from, to }
+function streaks(dates, today) {
+  const none  = { days: 0, from: null, to: null };
+  let longest = none;
+  let run     = none;
+  for (const date of dates) {
+    run = run.to && shiftDate(run.to, 1) === date
+      ? { days: run.days + 1, from: run.from, to: date }
+      : { days: 1, from: date, to: date };
+    if (run.days > longest.days) longest = run;
+  }
+  const live = run.to === today || run.to === shiftDate(today, -1);
+  return { current: live ? run : none, longest };
+}
+
+function frameRef(img, day) {
+  return { time: img.time, date: day.date, slug: img.slug, location: img.location || day.location };
+}
+
+// `days` newest first, `locations` as summarised by lib/locations.js,
+// `today` YYYY-MM-DD in the site's zone.
+function computeStats(days, locations, today) {
+  const oldest = [...days].reverse();
+  const months = new Map();
+  const light  = { sunrise: 0, sunset: 0 };
+  let photos   = 0;
+  let videos   = 0;
+  let earliest = null;
+  let latest   = null;
+
+  for (const day of oldest) {
+    const month = day.date.slice(0, 7);
+    const row   = months.get(month) || { month, days: 0, images: 0, sunrise: 0, sunset: 0 };
+    row.days++;
+    for (const img of day.images) {
+      row.images++;
+      if (img.tag === 'sunrise' || img.tag === 'sunset') {
+        row[img.tag]++;
+        light[img.tag]++;
+      }
+      if (img.type === 'video') videos++;
+      else photos++;
+      if (!img.time) continue;
+      if (!earliest || img.time < earliest.time) earliest = frameRef(img, day);
+      if (!latest   || img.time > latest.time)   latest   = frameRef(img, day);
+    }
+    months.set(month, row);
+  }
+
+  // Every month from the first to the last, so gaps show as gaps
+  const monthRows = [];
+  if (oldest.length) {
+    const last = oldest[oldest.length - 1].date.slice(0, 7);
+    for (let m = oldest[0].date.slice(0, 7); m <= last; m = nextMonth(m)) {
+      monthRows.push(months.get(m) || { month: m, days: 0, images: 0, sunrise: 0, sunset: 0 });
+    }
+  }
+
+  return {
+    generated: today,
+    totals: {
+      images:    photos + videos,
+      photos,
+      videos,
+      days:      days.length,
+      locations: locations.length,
+      from:      oldest.length ? oldest[0].date : null,
+      to:        days.length ? days[0].date : null,
+    },
+    streaks:   streaks(oldest.map(d => d.date), today),
+    light,
+    months:    monthRows,
+    locations: locations
+      .map(loc => ({ id: loc.id, name: loc.name, images: loc.images, days: loc.days.length }))
+      .sort((a, b) => b.images - a.images || a.name.localeCompare(b.name)),
+    earliest,
+    latest,
+  };
+}
+
+module.exports = { computeStats };
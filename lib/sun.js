@@ -0,0 +1,122 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — lib/sun.js
+// ============================================================
+//
+// Solar position for sunrise / sunset tagging, after the NOAA
+// low-precision formulas (as used by SunCalc) — good to about a
+// minute, which is plenty for sorting photos.
+//
+// classifyLight() answers, for one capture instant and place:
+//   tag     → 'sunrise' before that day's solar noon, 'sunset' after
+//   event   → the sunrise or sunset that tag refers to
+//   minutes → capture time minus that event (negative = before)
+//   phase   → 'night' | 'blue' | 'golden' | 'day', from the sun's
+//             altitude at capture (see PHASES)
+//
+// deriveLight() applies it to a sidecar record for build.js.
+//
+// ============================================================
+
+const { timezoneOf, zonedTimeToUtc } = require('./time');
+
+const rad    = Math.PI / 180;
+const DAY_MS = 86400000;
+const J1970  = 2440588;
+const J2000  = 2451545;
+const J0     = 0.0009;
+const OBLIQ  = rad * 23.4397;   // obliquity of the ecliptic
+
+// Lower altitude bound (degrees) of each phase, highest first.
+// Blue hour -6°…-4°, golden hour -4°…+6°.
+const PHASES = [
+  { phase: 'day',    from: 6  },
+  { phase: 'golden', from: -4 },
+  { phase: 'blue',   from: -6 },
+  { phase: 'night',  from: -Infinity },
+];
+
+const SUNRISE_ALT = -0.833;     // upper limb on the horizon, with refraction
+
+const toDays         = ms => ms / DAY_MS - 0.5 + J1970 - J2000;
+const fromJulian     = j  => (j + 0.5 - J1970) * DAY_MS;
+const meanAnomaly    = d  => rad * (357.5291 + 0.98560028 * d);
+const declination    = l  => Math.asin(Math.sin(OBLIQ) * Math.sin(l));
+const rightAscension = l  => Math.atan2(Math.sin(l) * Math.cos(OBLIQ), Math.cos(l));
+
+function eclipticLongitude(M) {
+  const C = rad * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+  const P = rad * 102.9372;     // perihelion of the Earth
+  return M + C + P + Math.PI;
+}
+
+// Sun altitude in degrees at instant `ms`.
+function sunAltitude(ms, lat, lng) {
+  const d   = toDays(ms);
+  const L   = eclipticLongitude(meanAnomaly(d));
+  const dec = declination(L);
+  const H   = rad * (280.16 + 360.9856235 * d) - rad * -lng - rightAscension(L);
+  const phi = rad * lat;
+  return Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(H)) / rad;
+}
+
+// Solar noon, sunrise and sunset (UTC ms) for the solar day whose
+// noon is nearest to instant `ms`. sunrise/sunset are NaN when the
+// sun never crosses the horizon (polar day or night).
+function solarTimes(ms, lat, lng) {
+  const lw  = rad * -lng;
+  const phi = rad * lat;
+  const n   = Math.round(toDays(ms) - J0 - lw / (2 * Math.PI));
+
+  const transit = ht => J0 + (ht + lw) / (2 * Math.PI) + n;
+  const ds      = transit(0);
+  const M       = meanAnomaly(ds);
+  const L       = eclipticLongitude(M);
+  const dec     = declination(L);
+  const jNoon   = J2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+
+  const h  = rad * SUNRISE_ALT;
+  const w  = Math.acos((Math.sin(h) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec)));
+  const a  = transit(w);
+  const jSet  = J2000 + a + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+  const jRise = jNoon - (jSet - jNoon);
+
+  return { noon: fromJulian(jNoon), sunrise: fromJulian(jRise), sunset: fromJulian(jSet) };
+}
+
+function phaseFor(altitude) {
+  return PHASES.find(p => altitude >= p.from).phase;
+}
+
+// dayMs is any instant on the capture's local calendar day (build.js
+// passes local noon), so a 23:58 shot is filed against that day's
+// sunset rather than the next morning's sunrise.
+function classifyLight(ms, lat, lng, dayMs = ms) {
+  const t     = solarTimes(dayMs, lat, lng);
+  const tag   = ms < t.noon ? 'sunrise' : 'sunset';
+  const event = t[tag];
+
+  return {
+    tag,
+    minutes: Number.isNaN(event) ? null : Math.round((ms - event) / 60000),
+    phase:   phaseFor(sunAltitude(ms, lat, lng)),
+  };
+}
+
+// Sun position at capture → tag (split at solar noon, not 12:00)
+// plus light: { event, minutes, phase }, e.g. 12 min after sunset
+// in blue hour. Records without coordinates use the defaults from
+// content/settings.json, and are placed in time by timezoneOf (see
+// lib/time.js) — the zone their timestamp uses. A tag set in the
+// sidecar still wins; light is always the computed one.
+function deriveLight(record, settings) {
+  const lat = typeof record.lat === 'number' ? record.lat : settings.default_lat;
+  const lng = typeof record.lng === 'number' ? record.lng : settings.default_lng;
+  const tz  = timezoneOf(record, settings);
+
+  const at    = zonedTimeToUtc(record.date, record.time, tz);
+  const noon  = zonedTimeToUtc(record.date, '12:00', tz);
+  const { tag, minutes, phase } = classifyLight(at, lat, lng, noon);
+  return { tag: record.tag || tag, light: { event: tag, minutes, phase } };
+}
+
+module.exports = { PHASES, sunAltitude, solarTimes, classifyLight, deriveLight };
@@ -0,0 +1,85 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — lib/time.js
+// ============================================================
+//
+// Sidecar times are local wall-clock "HH:MM" on a local date.
+// These helpers pin them to a real instant using an IANA time
+// zone, via Intl — no tz database of our own.
+//
+// An image's zone is, in order: its own `timezone` field (or its
+// day entry's, or its place's in content/locations.json), the zone
+// of the state its location ends in ("St. Pete Beach, FL"), or
+// settings.default_timezone.
+//
+// ============================================================
+
+// State suffix of a location → IANA zone, for places not yet in
+// content/locations.json.
+const STATE_TIMEZONES = {
+  CA: 'America/Los_Angeles',
+  FL: 'America/New_York',
+  HI: 'Pacific/Honolulu',
+  NY: 'America/New_York',
+  OR: 'America/Los_Angeles',
+  WA: 'America/Los_Angeles',
+};
+
+const pad = n => String(n).padStart(2, '0');
+
+function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// IANA zone an image was shot in (see the order above)
+function timezoneOf(record, settings) {
+  if (record.timezone) return record.timezone;
+  const m = String(record.location || '').match(/,\s*([A-Z]{2})\s*$/);
+  return (m && STATE_TIMEZONES[m[1]]) || settings.default_timezone;
+}
+
+// Minutes east of UTC for `timeZone` at instant `ms`, e.g. -420
+// for America/Los_Angeles in summer.
+function tzOffsetMinutes(timeZone, ms) {
+  const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+    .formatToParts(new Date(ms))
+    .find(p => p.type === 'timeZoneName').value;   // "GMT-07:00" or "GMT"
+  const m = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+  if (!m) return 0;
+  const mins = Number(m[2]) * 60 + Number(m[3]);
+  return m[1] === '-' ? -mins : mins;
+}
+
+// UTC ms for local `date` (YYYY-MM-DD) + `time` (HH:MM) in `timeZone`.
+// Offsets are re-checked at the result so DST changeover days land
+// on the right side of the jump.
+function zonedTimeToUtc(date, time, timeZone) {
+  const [y, mo, d] = date.split('-').map(Number);
+  const [h, mi]    = (time || '00:00').split(':').map(Number);
+  const wall       = Date.UTC(y, mo - 1, d, h, mi);
+
+  let utc = wall - tzOffsetMinutes(timeZone, wall) * 60000;
+  utc     = wall - tzOffsetMinutes(timeZone, utc)  * 60000;
+  return utc;
+}
+
+// Full ISO 8601 timestamp with the zone's offset at that moment,
+// e.g. "2026-03-15T08:11:00-04:00" for 08:11 in America/New_York.
+function isoTimestamp(date, time, timeZone) {
+  const utc    = zonedTimeToUtc(date, time, timeZone);
+  const offset = tzOffsetMinutes(timeZone, utc);
+  const wall   = new Date(utc + offset * 60000).toISOString().slice(0, 19);
+  const abs    = Math.abs(offset);
+  return `${wall}${offset < 0 ? '-' : '+'}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+// Local calendar date (YYYY-MM-DD) in `timeZone` at instant `ms`.
+function dateIn(timeZone, ms = Date.now()) {
+  return new Date(ms + tzOffsetMinutes(timeZone, ms) * 60000).toISOString().slice(0, 10);
+}
+
+module.exports = { isTimeZone, timezoneOf, tzOffsetMinutes, zonedTimeToUtc, isoTimestamp, dateIn };
@@ -0,0 +1,198 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — lib/videos.js
+// ============================================================
+//
+// Build-time stills and previews for videos, so the grid never has
+// to load a full MP4. Each video gets, in static/derived/ (<name>
+// as lib/images.js's derivedBase: file name plus a hash of the src):
+//
+//   <name>.poster.jpg   → a frame POSTER_AT_S into the clip, up to
+//                         POSTER_W wide — lightbox poster, og:image
+//   <name>.thumb.jpg    → the same frame THUMB_W wide — grid still
+//   <name>.preview.mp4  → PREVIEW_S seconds, muted, PREVIEW_W wide —
+//                         what desktop thumbnails loop
+//
+// and these fields on the image in index.json:
+//
+//   thumb, poster, preview → /static/derived/… srcs (a `thumb` set
+//                            in the sidecar is left alone)
+//   duration               → seconds, one decimal
+//   width, height          → as displayed, after rotation
+//
+// Local videos are read from /static/uploads. R2-hosted ones need a
+// local copy in .cache/videos/<filename> — put them there by hand,
+// or run `node build.js --fetch-videos` to download whatever is
+// missing (Netlify keeps the folder between deploys; see
+// netlify/plugins/build-cache). Videos with no local copy ship
+// without posters, as before.
+//
+// Uses ffmpeg / ffprobe from PATH and skips the step when they
+// aren't installed. Results are cached by content hash like image
+// derivatives (lib/cache.js).
+//
+// ============================================================
+
+const fs   = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { DERIVED_DIR, derivedBase } = require('./images');
+
+const VIDEO_CACHE_DIR = path.join('.cache', 'videos');
+
+const POSTER_AT_S = 1;      // seconds in — skips black first frames
+const POSTER_W    = 1600;
+const THUMB_W     = 320;
+const PREVIEW_S   = 3;
+const PREVIEW_W   = 480;
+
+let ffmpegFound; // true / false once checked
+
+function hasFfmpeg() {
+  if (ffmpegFound !== undefined) return ffmpegFound;
+  try {
+    execFileSync('ffmpeg',  ['-version'], { stdio: 'ignore' });
+    execFileSync('ffprobe', ['-version'], { stdio: 'ignore' });
+    ffmpegFound = true;
+  } catch (e) {
+    ffmpegFound = false;
+  }
+  return ffmpegFound;
+}
+
+function run(cmd, args) {
+  return execFileSync(cmd, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+// Displayed size and duration. Phones store portrait video sideways
+// with a rotation flag, which ffmpeg applies when decoding.
+function probe(input) {
+  const out = JSON.parse(run('ffprobe', [
+    '-v', 'error', '-select_streams', 'v:0', '-print_format', 'json',
+    '-show_entries', 'stream=width,height:stream_tags=rotate:stream_side_data=rotation:format=duration',
+    input,
+  ]).toString());
+
+  const stream   = (out.streams || [])[0] || {};
+  const rotation = Number((stream.tags && stream.tags.rotate) ||
+    ((stream.side_data_list || []).find(d => 'rotation' in d) || {}).rotation || 0);
+  const sideways = Math.abs(rotation) % 180 === 90;
+
+  return {
+    width:    sideways ? stream.height : stream.width,
+    height:   sideways ? stream.width  : stream.height,
+    duration: Math.round(Number(out.format && out.format.duration) * 10) / 10,
+  };
+}
+
+function still(input, output, width, at) {
+  run('ffmpeg', ['-y', '-v', 'error', '-ss', String(at), '-i', input, '-frames:v', '1',
+    '-vf', `scale='min(${width},iw)':-2`, '-q:v', '3', output]);
+}
+
+function preview(input, output, at) {
+  run('ffmpeg', ['-y', '-v', 'error', '-ss', String(at), '-t', String(PREVIEW_S), '-i', input, '-an',
+    '-vf', `scale='min(${PREVIEW_W},iw)':-2`, '-c:v', 'libx264', '-crf', '28', '-preset', 'veryfast',
+    '-pix_fmt', 'yuv420p', '-movflags', '+faststart', output]);
+}
+
+// Path (relative to rootDir) of a local copy of the video, or null.
+function localCopy(img, rootDir) {
+  if (img.src.startsWith('/static/uploads/')) return img.src.slice(1);
+  const cached = path.join(VIDEO_CACHE_DIR, path.basename(img.src.split('?')[0]));
+  return fs.existsSync(path.join(rootDir, cached)) ? cached : null;
+}
+
+async function download(url, file) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.part`, Buffer.from(await res.arrayBuffer()));
+  fs.renameSync(`${file}.part`, file);
+}
+
+// Downloads every remote video that has no copy in .cache/videos.
+async function fetchVideos(days, rootDir) {
+  let fetched = 0;
+  for (const day of days) {
+    for (const img of day.images) {
+      if (img.type !== 'video' || !/^https?:\/\//.test(img.src) || localCopy(img, rootDir)) continue;
+      const file = path.join(rootDir, VIDEO_CACHE_DIR, path.basename(img.src.split('?')[0]));
+      try {
+        await download(img.src, file);
+        fetched++;
+      } catch (e) {
+        console.warn(`Could not fetch ${img.src}: ${e.message}`);
+      }
+    }
+  }
+  return fetched;
+}
+
+function processVideo(img, rootDir, input, stats, cache) {
+  const base   = derivedBase(img.src);
+  const outDir = path.join(rootDir, DERIVED_DIR);
+  const srcOf  = file => `/${DERIVED_DIR.split(path.sep).join('/')}/${file}`;
+  const files  = { poster: `${base}.poster.jpg`, thumb: `${base}.thumb.jpg`, preview: `${base}.preview.mp4` };
+  const hash   = cache.hashFile(input);
+  const cached = cache.get('videos', img.src);
+
+  let record;
+  if (cached && cached.hash === hash &&
+      Object.values(files).every(f => fs.existsSync(path.join(outDir, f)))) {
+    record = cached.record;
+    stats.reused++;
+  } else {
+    fs.mkdirSync(outDir, { recursive: true });
+    const abs  = path.join(rootDir, input);
+    const info = probe(abs);
+    const at   = Math.min(POSTER_AT_S, info.duration / 2 || 0);
+
+    still(abs, path.join(outDir, files.poster), POSTER_W, at);
+    still(abs, path.join(outDir, files.thumb),  THUMB_W,  at);
+    preview(abs, path.join(outDir, files.preview), at);
+
+    record = {
+      width:    info.width,
+      height:   info.height,
+      duration: info.duration,
+      poster:   srcOf(files.poster),
+      thumb:    srcOf(files.thumb),
+      preview:  srcOf(files.preview),
+    };
+    stats.generated++;
+  }
+
+  cache.set('videos', img.src, { hash, record });
+  return { ...img, ...record, thumb: img.thumb || record.thumb };
+}
+
+// Adds poster/preview/duration/size to every video in `days` that
+// has a local copy, in place. Returns { generated, reused, missing,
+// failed, fetched }, or null without ffmpeg.
+async function buildVideos(days, rootDir, cache, { fetchRemote = false } = {}) {
+  if (!hasFfmpeg()) {
+    console.warn('ffmpeg not found — skipping video posters; thumbnails fall back to placeholders');
+    return null;
+  }
+
+  const stats = { generated: 0, reused: 0, missing: 0, failed: 0, fetched: 0 };
+  if (fetchRemote) stats.fetched = await fetchVideos(days, rootDir);
+
+  for (const day of days) {
+    day.images = day.images.map(img => {
+      if (img.type !== 'video') return img;
+      const input = localCopy(img, rootDir);
+      if (!input) { stats.missing++; return img; }
+      try {
+        return processVideo(img, rootDir, input, stats, cache);
+      } catch (e) {
+        stats.failed++;
+        console.warn(`Video poster failed for ${img.src}: ${(e.stderr || e.message).toString().trim()}`);
+        return img;
+      }
+    });
+  }
+  return stats;
+}
+
+module.exports = { VIDEO_CACHE_DIR, buildVideos };
@@ -0,0 +1,175 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — lib/watermark.js
+// ============================================================
+//
+// Copyright on the images the site serves. The lightbox's CSS
+// overlay is gone as soon as someone opens an image URL on its
+// own, so lib/images.js burns a mark into the published
+// derivatives and writes the licence into the files themselves.
+// Both come from content/settings.json:
+//
+//   watermark → {
+//     text:     '© Boardshort Photography',
+//     logo:     'static/watermark.png',   optional — a PNG under the
+//                                         site root, drawn instead
+//                                         of the text
+//     position: 'bottom-right',   a key of GRAVITY
+//     opacity:  0.6,              0–1
+//     size:     0.022,            height of the mark as a fraction
+//                                 of the image's width, so it's the
+//                                 same on portraits and landscapes
+//     colour:   '#ffffff',        text only
+//     font:     'Helvetica',      text only; ImageMagick's default
+//                                 when left out
+//   }
+//   licence → { name: 'CC BY-NC-ND 4.0', url: 'https://…' }
+//
+// With no `watermark` block nothing is drawn. The mark goes on the
+// MARKED derivatives (thumbnails are too small to carry one), and
+// those images get, in index.json:
+//
+//   watermarked → true
+//
+// Every derivative gets EXIF, IPTC and XMP metadata via exiftool
+// (see metadataFor):
+//
+//   creator   → settings.photographer
+//   copyright → '© 2026 Boardshort Photography — CC BY-NC-ND 4.0'
+//   licence   → licence.url (XMP-cc:License, xmpRights:WebStatement)
+//   caption   → the frame's caption, else its light, place and date
+//
+// Derivatives are made with -strip, so nothing else from the camera
+// (GPS included) goes with them. Without exiftool they're published
+// without metadata, with a warning.
+//
+// Watermarked uploads aren't deployed at all:
+// netlify/plugins/withhold-originals deletes the files
+// withheldOriginals lists from the publish directory once the build
+// is done, so the unmarked original has no public URL. site.js
+// zooms no further than `full` for these.
+//
+// ============================================================
+
+const fs   = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { INDEX_FILE } = require('./chunks');
+
+const MARKED = ['medium', 'full'];
+
+const GRAVITY = {
+  'top-left':    'NorthWest', 'top':    'North',  'top-right':    'NorthEast',
+  'left':        'West',      'centre': 'Center', 'right':        'East',
+  'bottom-left': 'SouthWest', 'bottom': 'South',  'bottom-right': 'SouthEast',
+};
+
+const DEFAULTS = { position: 'bottom-right', opacity: 0.6, size: 0.022, colour: '#ffffff' };
+
+let exiftool; // true / false once we know whether it's installed
+
+function findExiftool() {
+  if (exiftool !== undefined) return exiftool;
+  try {
+    execFileSync('exiftool', ['-ver'], { stdio: 'ignore' });
+    exiftool = true;
+  } catch (e) {
+    exiftool = false;
+  }
+  return exiftool;
+}
+
+// settings.watermark with defaults filled in, or null for no mark.
+// Throws on a position or colour it can't draw.
+function watermarkOf(settings) {
+  const mark = settings.watermark;
+  if (!mark || (!mark.text && !mark.logo)) return null;
+
+  const resolved = { ...DEFAULTS, ...mark };
+  if (!GRAVITY[resolved.position]) {
+    throw new Error(`settings.json: watermark.position "${resolved.position}" — use one of ` +
+      Object.keys(GRAVITY).join(', '));
+  }
+  if (!/^#[0-9a-f]{6}$/i.test(resolved.colour)) {
+    throw new Error(`settings.json: watermark.colour "${resolved.colour}" — use #rrggbb`);
+  }
+  resolved.opacity = Math.min(1, Math.max(0, Number(resolved.opacity)));
+  return resolved;
+}
+
+// ImageMagick arguments that draw `mark` on an image already resized
+// to `width` px; they go between -resize and the output file
+function watermarkArgs(mark, width, rootDir) {
+  const height  = Math.max(8, Math.round(width * mark.size));
+  const margin  = `+${Math.round(height * 0.8)}+${Math.round(height * 0.8)}`;
+  const gravity = ['-gravity', GRAVITY[mark.position]];
+
+  if (mark.logo) {
+    return ['(', path.join(rootDir, mark.logo), '-resize', `x${height}`,
+            '-alpha', 'set', '-channel', 'A', '-evaluate', 'multiply', String(mark.opacity), '+channel', ')',
+            ...gravity, '-geometry', margin, '-composite'];
+  }
+  const alpha = Math.round(mark.opacity * 255).toString(16).padStart(2, '0');
+  return [...gravity, ...(mark.font ? ['-font', mark.font] : []),
+          '-pointsize', String(height), '-fill', `${mark.colour}${alpha}`, '-annotate', margin, mark.text];
+}
+
+function capitalise(str) {
+  return str ? str[0].toUpperCase() + str.slice(1) : str;
+}
+
+// What the files for one image should say about themselves, or
+// null when settings.json names neither a photographer nor a licence
+function metadataFor(img, day, settings) {
+  const licence = settings.licence || {};
+  if (!settings.photographer && !licence.url) return null;
+
+  const creator = settings.photographer || settings.title || '';
+  const year    = (img.date || day.date || '').slice(0, 4);
+  return {
+    creator,
+    copyright: [`© ${year} ${creator}`.trim(), licence.name].filter(Boolean).join(' — '),
+    url:       licence.url || '',
+    caption:   img.caption ||
+      [capitalise(img.tag), img.location || day.location, day.date].filter(Boolean).join(' · '),
+  };
+}
+
+// exiftool arguments that write `meta` over whatever a file carries.
+// -m lets an over-long caption through IPTC's length limits.
+function metadataArgs(meta) {
+  const args = ['-overwrite_original', '-m', '-q', '-charset', 'iptc=UTF8', '-IPTC:CodedCharacterSet=UTF8',
+    `-EXIF:Artist=${meta.creator}`,   `-IPTC:By-line=${meta.creator}`,          `-XMP-dc:Creator=${meta.creator}`,
+    `-EXIF:Copyright=${meta.copyright}`, `-IPTC:CopyrightNotice=${meta.copyright}`, `-XMP-dc:Rights=${meta.copyright}`,
+    `-EXIF:ImageDescription=${meta.caption}`, `-IPTC:Caption-Abstract=${meta.caption}`,
+    `-XMP-dc:Description=${meta.caption}`];
+  if (meta.url) {
+    args.push('-XMP-xmpRights:Marked=True', `-XMP-xmpRights:WebStatement=${meta.url}`, `-XMP-cc:License=${meta.url}`);
+  }
+  return args;
+}
+
+// One exiftool call for all of an image's derivatives
+function writeMetadata(files, meta) {
+  execFileSync('exiftool', [...metadataArgs(meta), ...files], { stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+// Uploads the deploy should leave out, from the built index →
+// ['static/uploads/x.jpeg', …] (paths under rootDir)
+function withheldOriginals(rootDir) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(rootDir, INDEX_FILE), 'utf8'));
+  const files    = new Set();
+  for (const chunk of manifest.chunks) {
+    const days = JSON.parse(fs.readFileSync(path.join(rootDir, chunk.src.slice(1).split('?')[0]), 'utf8'));
+    for (const day of days) {
+      for (const img of day.images) {
+        if (img.watermarked && img.src.startsWith('/static/uploads/')) files.add(img.src.slice(1));
+      }
+    }
+  }
+  return [...files].sort();
+}
+
+module.exports = {
+  MARKED, GRAVITY,
+  findExiftool, watermarkOf, watermarkArgs, metadataFor, metadataArgs, writeMetadata, withheldOriginals,
+};
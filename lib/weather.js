@@ -0,0 +1,208 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — lib/weather.js
+// ============================================================
+//
+// Build-time weather for each image, stored as structured
+// fields so site.js can pick its own units:
+//
+//   weather → { temp, conditions, wind_speed, wind_deg, clouds, source }
+//             temp in °C, wind_speed in m/s, wind_deg 0–360,
+//             clouds in % cover; fields the source lacks are omitted
+//
+// Where a reading comes from, in order:
+//   1. the sidecar — a structured object, or a Shortcut string
+//      like "55°F Partly Cloudy", parsed into fields
+//   2. content/weather-cache.json, keyed by location and UTC hour
+//      ("27.72,-82.74@2026-03-15T11Z") — commit it so builds
+//      don't refetch; lookups made on Netlify are kept between
+//      deploys by netlify/plugins/build-cache
+//   3. the provider, for images with real coordinates (sidecar or
+//      day entry lat/lng — the settings.json defaults are a guess,
+//      and a wrong reading would be cached for good)
+//
+// Providers (node build.js --weather <name>, or WEATHER_PROVIDER):
+//   openweathermap → One Call 3.0 timemachine, needs WEATHER_API_KEY;
+//                    the default when that key is set
+//   fixture        → readings from the JSON file at WEATHER_FIXTURE,
+//                    keyed like the cache; for offline builds and
+//                    tests, never written to the cache
+//   none           → cache only; the default without a key
+//
+// Lookups run LOOKUP_CONCURRENCY at a time, each given up after
+// LOOKUP_TIMEOUT_MS, and images sharing a place and hour share one.
+// A build makes at most MAX_LOOKUPS (WEATHER_MAX_LOOKUPS to change
+// it); the rest are counted as deferred and picked up by the next
+// builds, so a first run over the whole archive can't stall a
+// deploy.
+//
+// ============================================================
+
+const fs   = require('fs');
+const path = require('path');
+const { zonedTimeToUtc } = require('./time');
+
+const CACHE_FILE = path.join('content', 'weather-cache.json');
+const HOUR_MS    = 3600000;
+
+const LOOKUP_CONCURRENCY = 4;
+const LOOKUP_TIMEOUT_MS  = 10000;
+const MAX_LOOKUPS        = 200;
+
+
+// ── PROVIDERS ───────────────────────────────────────────────
+// A provider is { name, persist, lookup({ lat, lng, hourMs, key }) }
+// where lookup resolves to a reading (shape above) or null.
+
+function openWeatherMap(apiKey) {
+  return {
+    name:    'openweathermap',
+    persist: true,
+    async lookup({ lat, lng, hourMs }) {
+      const url = 'https://api.openweathermap.org/data/3.0/onecall/timemachine' +
+        `?lat=${lat}&lon=${lng}&dt=${Math.floor(hourMs / 1000)}&units=metric&appid=${apiKey}`;
+      const res = await fetch(url, { signal: AbortSignal.timeout(LOOKUP_TIMEOUT_MS) });
+      if (!res.ok) throw new Error(`OpenWeatherMap ${res.status}`);
+
+      const w = (await res.json()).data?.[0];
+      if (!w) return null;
+      const desc = w.weather?.[0]?.description || '';
+      return {
+        temp:       w.temp,
+        conditions: desc.charAt(0).toUpperCase() + desc.slice(1),
+        wind_speed: w.wind_speed,
+        wind_deg:   w.wind_deg,
+        clouds:     w.clouds,
+        source:     'openweathermap',
+      };
+    },
+  };
+}
+
+function fixture(file) {
+  const readings = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return {
+    name:    'fixture',
+    persist: false,
+    async lookup({ key }) {
+      return readings[key] ? { ...readings[key], source: 'fixture' } : null;
+    },
+  };
+}
+
+// Returns a provider, or null for cache-only builds.
+function createProvider(name, env = process.env) {
+  const chosen = name || env.WEATHER_PROVIDER || (env.WEATHER_API_KEY ? 'openweathermap' : 'none');
+
+  if (chosen === 'none') return null;
+  if (chosen === 'openweathermap') {
+    if (!env.WEATHER_API_KEY) throw new Error('weather provider openweathermap needs WEATHER_API_KEY');
+    return openWeatherMap(env.WEATHER_API_KEY);
+  }
+  if (chosen === 'fixture') {
+    if (!env.WEATHER_FIXTURE) throw new Error('weather provider fixture needs WEATHER_FIXTURE=<path to json>');
+    return fixture(env.WEATHER_FIXTURE);
+  }
+  throw new Error(`unknown weather provider "${chosen}" (openweathermap, fixture, none)`);
+}
+
+
+// ── SIDECAR READINGS ────────────────────────────────────────
+
+const round1 = n => Math.round(n * 10) / 10;
+
+// "55°F Partly Cloudy" → { temp: 12.8, conditions: 'Partly Cloudy' }
+function parseWeatherString(str) {
+  const text = str.trim();
+  if (!text) return null;
+  const m = text.match(/^(-?\d+(?:\.\d+)?)\s*°\s*([FC])\b\s*(.*)$/i);
+  if (!m) return { conditions: text, source: 'sidecar' };
+
+  const value = Number(m[1]);
+  const temp  = m[2].toUpperCase() === 'F' ? round1((value - 32) * 5 / 9) : value;
+  const out   = { temp };
+  if (m[3]) out.conditions = m[3].replace(/^[·\s]+/, '');
+  out.source = 'sidecar';
+  return out;
+}
+
+function fromSidecar(value) {
+  if (value && typeof value === 'object') return { ...value, source: value.source || 'sidecar' };
+  if (typeof value === 'string') return parseWeatherString(value);
+  return null;
+}
+
+
+// ── ENRICHMENT ──────────────────────────────────────────────
+
+function cacheKey(lat, lng, hourMs) {
+  return `${lat.toFixed(2)},${lng.toFixed(2)}@${new Date(hourMs).toISOString().slice(0, 13)}Z`;
+}
+
+function loadCache(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+}
+
+function saveCache(file, cache) {
+  const sorted = {};
+  Object.keys(cache).sort().forEach(k => { sorted[k] = cache[k]; });
+  fs.writeFileSync(file, JSON.stringify(sorted, null, 2) + '\n');
+}
+
+// Sets img.weather on every image in `days` (index.json shape) to a
+// reading or null. Returns counts of images by where each reading
+// came from (deferred → left for a later build, see MAX_LOOKUPS).
+async function enrichWeather(days, rootDir, settings, provider, env = process.env) {
+  const file    = path.join(rootDir, CACHE_FILE);
+  const cache   = loadCache(file);
+  const stats   = { sidecar: 0, cached: 0, fetched: 0, missing: 0, failed: 0, deferred: 0 };
+  const pending = new Map();   // cache key → { lat, lng, hourMs, key, images }
+  let   dirty   = false;
+
+  for (const day of days) {
+    for (const img of day.images) {
+      const own = fromSidecar(img.weather);
+      if (own) { img.weather = own; stats.sidecar++; continue; }
+      img.weather = null;
+
+      if (typeof img.lat !== 'number' || typeof img.lng !== 'number') { stats.missing++; continue; }
+
+      const tz     = img.timezone || settings.default_timezone;
+      const ms     = zonedTimeToUtc(img.date, img.time, tz);
+      const hourMs = Math.floor(ms / HOUR_MS) * HOUR_MS;
+      const key    = cacheKey(img.lat, img.lng, hourMs);
+
+      if (cache[key]) { img.weather = cache[key]; stats.cached++; continue; }
+      if (!provider)  { stats.missing++; continue; }
+
+      if (!pending.has(key)) pending.set(key, { lat: img.lat, lng: img.lng, hourMs, key, images: [] });
+      pending.get(key).images.push(img);
+    }
+  }
+
+  const asked = parseInt(env.WEATHER_MAX_LOOKUPS, 10);
+  const limit = asked >= 0 ? asked : MAX_LOOKUPS;
+  const queue = [...pending.values()];
+  for (const job of queue.splice(limit)) stats.deferred += job.images.length;
+
+  async function worker() {
+    while (queue.length) {
+      const { images, ...at } = queue.shift();
+      try {
+        const reading = await provider.lookup(at);
+        if (!reading) { stats.missing += images.length; continue; }
+        for (const img of images) img.weather = reading;
+        stats.fetched += images.length;
+        if (provider.persist) { cache[at.key] = reading; dirty = true; }
+      } catch (e) {
+        stats.failed += images.length;
+        console.warn(`Weather lookup failed for ${images[0].src}: ${e.message}`);
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: LOOKUP_CONCURRENCY }, worker));
+
+  if (dirty) saveCache(file, cache);
+  return stats;
+}
+
+module.exports = { CACHE_FILE, loadCache, saveCache, createProvider, enrichWeather, parseWeatherString };
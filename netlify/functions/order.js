@@ -0,0 +1,28 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — netlify/functions/order.js
+// ============================================================
+//
+// POST /.netlify/functions/order — takes a print order from the
+// lightbox form, checks it against the published index and
+// settings, and passes it to ORDER_WEBHOOK_URL. All of the logic
+// is in lib/orders.js, which `node build.js --serve` also uses to
+// stand in for this function offline.
+//
+// netlify.toml bundles content/settings.json and the index chunks
+// with the function (included_files).
+//
+// ============================================================
+
+const path = require('path');
+const { handleOrder } = require('../../lib/orders');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+exports.handler = async event => {
+  const { status, body } = await handleOrder({ method: event.httpMethod, body: event.body }, ROOT);
+  return {
+    statusCode: status,
+    headers:    { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+    body:       JSON.stringify(body),
+  };
+};
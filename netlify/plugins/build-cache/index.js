@@ -0,0 +1,41 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — netlify/plugins/build-cache
+// ============================================================
+//
+// Local Netlify Build plugin that carries build.js's cache and
+// its slow-to-make outputs from one deploy to the next, so an
+// unchanged upload isn't resized again and an unchanged day's
+// pages aren't rewritten. See lib/cache.js for what's in there;
+// .cache/videos holds local copies of R2 videos (lib/videos.js).
+//
+// Weather lookups made during a deploy (lib/weather.js) land in
+// content/weather-cache.json, which is tracked — so it travels as
+// a copy, WEATHER_COPY, and is merged back into the committed
+// file before the build rather than restored over it.
+//
+// ============================================================
+
+const fs   = require('fs');
+const path = require('path');
+const { CACHE_FILE, loadCache, saveCache } = require('../../../lib/weather');
+
+const WEATHER_COPY = path.join('.cache', 'weather-cache.json');
+const PATHS        = ['.cache/build', '.cache/videos', 'static/derived', 'day', WEATHER_COPY];
+
+module.exports = {
+  async onPreBuild({ utils }) {
+    const restored = await utils.cache.restore(PATHS);
+    console.log(restored ? 'Restored build cache' : 'No build cache yet — full build');
+
+    const cached = loadCache(WEATHER_COPY);
+    if (Object.keys(cached).length) saveCache(CACHE_FILE, { ...cached, ...loadCache(CACHE_FILE) });
+  },
+
+  async onPostBuild({ utils }) {
+    if (fs.existsSync(CACHE_FILE)) {
+      fs.mkdirSync(path.dirname(WEATHER_COPY), { recursive: true });
+      fs.copyFileSync(CACHE_FILE, WEATHER_COPY);
+    }
+    await utils.cache.save(PATHS);
+  },
+};
@@ -0,0 +1,26 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — netlify/plugins/withhold-originals
+// ============================================================
+//
+// Local Netlify Build plugin that keeps unmarked originals out of
+// the deploy. The site publishes the repo root, static/uploads
+// included, but once build.js has made watermarked derivatives of
+// an upload nothing links to the upload itself — so it's deleted
+// from the publish directory before the files go out. Uploads
+// without derivatives (no ImageMagick, or a failed resize) are the
+// only copy the site has, and stay. See lib/watermark.js.
+//
+// ============================================================
+
+const fs   = require('fs');
+const path = require('path');
+const { withheldOriginals } = require('../../../lib/watermark');
+
+module.exports = {
+  async onPostBuild({ constants }) {
+    const root  = path.resolve(constants.PUBLISH_DIR);
+    const files = withheldOriginals(root);
+    for (const rel of files) fs.rmSync(path.join(root, rel), { force: true });
+    console.log(`Withheld ${files.length} original upload${files.length === 1 ? '' : 's'} from the deploy`);
+  },
+};
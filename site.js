@@ -6,8 +6,7 @@
 //
 //   COLS_MOBILE / COLS_TAB_PORT / COLS_TAB_LAND / COLS_DESKTOP
 //               → column count per breakpoint (thumbW fills availW exactly)
-//   DEFAULT_LAT/LNG → your home shooting location
-//   WEATHER_API_KEY → set in Netlify environment variables
+//   WEATHER_UNITS   → 'imperial' or 'metric' for the weather line
 //
 // ============================================================
 
@@ -36,15 +35,11 @@ function getGridCols() {
 }
 
 
-// ── LOCATION & WEATHER CONFIG ───────────────────────────────
+// ── WEATHER CONFIG ──────────────────────────────────────────
 
-const DEFAULT_LAT = 32.7157;    // San Diego
-const DEFAULT_LNG = -117.1611;
-
-// OpenWeatherMap API key.
-// Set WEATHER_API_KEY as an environment variable in Netlify.
-// Never paste your key directly into this file if it's public.
-const WEATHER_API_KEY = window.__WEATHER_KEY__ || '';
+// Weather is looked up by build.js (WEATHER_API_KEY lives in the
+// Netlify environment, never in this file) and stored in metric.
+const WEATHER_UNITS = 'imperial';
 
 
 // ── GRID INIT ───────────────────────────────────────────────
@@ -73,18 +68,6 @@ function initGrid() {
   updateGapZones();
 }
 
-function calcCols(sr, ss) {
-  const availCols = GRID_COLS - 1;               // 1 col always reserved for gap
-  const half      = Math.floor(availCols / 2);   // max columns per side (symmetric)
-
-  const sunriseCols_ideal = Math.min(sr, half);
-  const sunsetCols        = Math.min(ss, availCols - sunriseCols_ideal);
-  const sunriseCols       = Math.min(sr, availCols - sunsetCols);
-  const gapCols           = GRID_COLS - sunriseCols - sunsetCols;
-
-  return { sunriseCols, sunsetCols, gapCols };
-}
-
 function initScrollPosition(strip) {
   const left  = strip.querySelector('.cluster-sunrise');
   const right = strip.querySelector('.cluster-sunset');
@@ -92,14 +75,14 @@ function initScrollPosition(strip) {
   if (right) right.scrollLeft = 0;
 }
 
-function updateGapZones() {
-  document.querySelectorAll('.gap-zone').forEach(gz => {
+function updateGapZones(root = document) {
+  root.querySelectorAll('.gap-zone').forEach(gz => {
     const strip = gz.parentElement;
     if (!strip) return;
 
     const sr = parseInt(gz.dataset.sr || 0);
     const ss = parseInt(gz.dataset.ss || 0);
-    const { sunriseCols, sunsetCols, gapCols } = calcCols(sr, ss);
+    const { sunriseCols, sunsetCols, gapCols } = calcCols(sr, ss, GRID_COLS);   // lib/model.js
 
     const leftCluster  = strip.querySelector('.cluster-sunrise');
     const rightCluster = strip.querySelector('.cluster-sunset');
@@ -118,107 +101,108 @@ function updateGapZones() {
 let resizeTimer;
 function onResize() {
   clearTimeout(resizeTimer);
-  resizeTimer = setTimeout(initGrid, 120);
+  resizeTimer = setTimeout(() => {
+    initGrid();
+    const lbImg = document.getElementById('lb-img');
+    if (FLAT[currentFlatIndex] && lbImg.style.display === 'block') fitLightboxImage(lbImg, FLAT[currentFlatIndex]);
+  }, 120);
 }
 window.addEventListener('resize', onResize);
 window.addEventListener('orientationchange', onResize);
 
 
-// ── SOLAR NOON ──────────────────────────────────────────────
-// Determines sunrise vs sunset tag automatically.
-// Returns solar noon in UTC hours for a given date and location.
-// Images before solar noon → sunrise (left cluster)
-// Images after solar noon  → sunset  (right cluster)
-
-function getSolarNoon(date, lat, lng) {
-  const d  = new Date(date);
-  const JD = Math.floor(d / 86400000) + 2440587.5;
-  const n  = JD - 2451545.0;
-  const L  = (280.46 + 0.9856474 * n) % 360;
-  const g  = ((357.528 + 0.9856003 * n) % 360) * Math.PI / 180;
-  const lambda = (L + 1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g)) * Math.PI / 180;
-  const R  = 1.00014 - 0.01671 * Math.cos(g) - 0.00014 * Math.cos(2 * g);
-  const eps = (23.439 - 0.0000004 * n) * Math.PI / 180;
-  const RA  = Math.atan2(Math.cos(eps) * Math.sin(lambda), Math.cos(lambda)) * 12 / Math.PI;
-  const eot = L / 15 - ((RA + 24) % 24);
-  return 12 - lng / 15 - eot; // UTC hours
-}
-
-function getTag(timeStr) {
-  // Simple rule: before noon local = sunrise, after = sunset.
-  // Precise enough for artistic tagging purposes.
-  const [h, m] = timeStr.split(':').map(Number);
-  return (h + m / 60) < 12 ? 'sunrise' : 'sunset';
-}
+// ── LIGHT ───────────────────────────────────────────────────
+// build.js tags each image from the sun's real position (split at
+// solar noon) and records img.light = { event, minutes, phase }.
+// getTag() in lib/model.js is only the fallback for data that
+// hasn't been through build.js, such as the demo set.
 
+const PHASE_LABELS = { night: 'night', blue: 'blue hour', golden: 'golden hour', day: 'daylight' };
 
-// ── WEATHER ─────────────────────────────────────────────────
-// Fetches historical weather from OpenWeatherMap for a given
-// date, time, and location. Results are cached to avoid
-// redundant API calls within the same page session.
+// { event: 'sunset', minutes: 12, phase: 'blue' } → "12 min after sunset · blue hour"
+function formatLight(light) {
+  if (!light) return '';
+  const phase = PHASE_LABELS[light.phase] || light.phase;
+  if (light.minutes === null || light.minutes === undefined) return phase;
 
-const weatherCache = {};
+  const abs  = Math.abs(light.minutes);
+  const h    = Math.floor(abs / 60);
+  const span = !h ? `${abs} min` : abs % 60 ? `${h} h ${abs % 60} min` : `${h} h`;
+  const when = abs === 0 ? `at ${light.event}`
+             : `${span} ${light.minutes < 0 ? 'before' : 'after'} ${light.event}`;
+  return `${when} · ${phase}`;
+}
 
-async function fetchWeather(date, timeStr, lat, lng) {
-  if (!WEATHER_API_KEY) return null;
 
-  const cacheKey = `${date}-${Math.round(lat * 10)}-${Math.round(lng * 10)}`;
-  if (weatherCache[cacheKey]) return weatherCache[cacheKey];
+// ── CONTENT LOADING ─────────────────────────────────────────
+// /content/index.json is a small manifest (see lib/chunks.js); the
+// days themselves come in monthly chunks, fetched newest first as
+// the timeline scrolls. An index.json that is a plain array of days
+// (built before chunking) is used whole.
+// The demo set only loads with ?demo in the address; otherwise a
+// missing or broken index.json shows as an error in the timeline
+// rather than as somebody else's photos.
+
+const DEMO = new URLSearchParams(window.location.search).has('demo');
+
+let CHUNKS       = [];     // manifest chunk entries, newest first
+let nextChunk    = 0;      // first chunk not yet in ALL_DAYS
+let chunkLoading = null;   // in-flight loadChunk() promise
+let TOTAL_IMAGES = 0;      // across all chunks, loaded or not
+let LOAD_ERROR   = '';     // why index.json didn't load, if it didn't
 
+async function loadContent() {
+  if (DEMO) return { days: getDemoData() };
   try {
-    const dt  = new Date(`${date}T${timeStr}:00`);
-    const unix = Math.floor(dt.getTime() / 1000);
-    const url  = `https://api.openweathermap.org/data/3.0/onecall/timemachine?lat=${lat}&lon=${lng}&dt=${unix}&appid=${WEATHER_API_KEY}&units=imperial`;
-
-    const res  = await fetch(url);
-    if (!res.ok) throw new Error('weather api error');
-
-    const data   = await res.json();
-    const w      = data.data?.[0];
-    if (!w) throw new Error('no data');
-
-    const result = formatWeather(w);
-    weatherCache[cacheKey] = result;
-    return result;
+    const res = await fetch('/content/index.json');
+    if (!res.ok) throw new Error(`/content/index.json ${res.status}`);
+    const data = await res.json();
+    return Array.isArray(data) ? { days: data } : data;
   } catch (e) {
-    return null;
+    console.error('Could not load the archive', e);
+    return { days: [], error: e.message };
   }
 }
 
-function formatWeather(w) {
-  const temp  = Math.round(w.temp);
-  const desc  = w.weather?.[0]?.description || '';
-  const wind  = Math.round(w.wind_speed);
-  const dir   = degreesToCardinal(w.wind_deg);
-  const cap   = desc.charAt(0).toUpperCase() + desc.slice(1);
-  return `${temp}°F · ${cap} · Wind ${dir} ${wind}mph`;
+// Appends the next chunk to ALL_DAYS. Callers arriving while it's in
+// flight share the same request. Resolves false once all are loaded.
+function loadChunk() {
+  if (nextChunk >= CHUNKS.length) return Promise.resolve(false);
+  if (!chunkLoading) {
+    const chunk = CHUNKS[nextChunk];
+    chunkLoading = fetch(chunk.src)
+      .then(res => {
+        if (!res.ok) throw new Error(`${chunk.src} ${res.status}`);
+        return res.json();
+      })
+      .then(days => {
+        ALL_DAYS = ALL_DAYS.concat(processDays(days));
+        nextChunk++;
+        return true;
+      })
+      .finally(() => { chunkLoading = null; });
+  }
+  return chunkLoading;
 }
 
-function degreesToCardinal(deg) {
-  if (deg === undefined) return '';
-  const dirs = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
-  return dirs[Math.round(deg / 45) % 8];
+// Loads every chunk newer than or containing `date` (YYYY-MM-DD).
+// Resolves true if anything new arrived.
+async function loadChunksThrough(date) {
+  let loaded = false;
+  while (nextChunk < CHUNKS.length && CHUNKS[nextChunk].first >= date) {
+    loaded = (await loadChunk()) || loaded;
+  }
+  return loaded;
 }
 
-
-// ── CONTENT LOADING ─────────────────────────────────────────
-// Reads from /content/index.json (generated by build.js).
-// Falls back to demo data if no content file exists yet.
-
-async function loadContent() {
-  try {
-    const res = await fetch('/content/index.json');
-    if (!res.ok) throw new Error('no content');
-    return await res.json();
-  } catch (e) {
-    return getDemoData();
-  }
+async function loadAllChunks() {
+  while (await loadChunk());
 }
 
 
 // ── DEMO DATA ───────────────────────────────────────────────
-// Shown before you add real content via the CMS.
-// Replace with your first real day entries to remove this.
+// Sample days for trying the layout without any content — open the
+// site with ?demo (e.g. http://localhost:8888/?demo).
 
 function getDemoData() {
   return [
@@ -271,33 +255,32 @@ function getDemoData() {
 
 
 // ── PROCESS DAYS ────────────────────────────────────────────
-// Auto-tags each image (sunrise/sunset) and fetches weather
-// for any image that doesn't already have it.
+// Auto-tags each image (sunrise/sunset) and formats its weather
+// and capture time for display.
+//
+// Dates and times are the capture location's wall clock: build.js
+// adds each image's IANA `timezone` and an ISO `timestamp` with its
+// offset. Nothing here uses the viewer's zone — calendar dates are
+// formatted as UTC, which leaves YYYY-MM-DD exactly as written.
 
-async function processDays(days) {
+function processDays(days) {
   const processed = [];
 
   for (const day of days) {
-    const lat    = day.lat || DEFAULT_LAT;
-    const lng    = day.lng || DEFAULT_LNG;
     const label  = formatDateLabel(day.date);
     const images = [];
+    // Date, tag and hero as in build.js; slugs for data built before
+    // they existed (see lib/model.js)
+    const model  = assignSlugs({ images: (day.images || []).map(img => normaliseImage(img, day)) });
 
-    for (const img of (day.images || [])) {
-      const tag     = img.tag || getTag(img.time);
-      let weather   = img.weather;
-
-      if (!weather && WEATHER_API_KEY) {
-        weather = await fetchWeather(day.date, img.time, lat, lng);
-      }
-
+    for (const img of model.images) {
       images.push({
         ...img,
-        id:       img.id || `${day.date}-${img.time}-${Math.random().toString(36).slice(2, 6)}`,
-        date:     img.date || day.date,
-        tag,
-        weather:  weather || '—',
-        location: img.location || day.location || 'San Diego, CA',
+        id:          img.id || `${day.date}-${img.slug}`,   // stable across chunks and the hero list
+        weather:     formatWeather(img.weather, WEATHER_UNITS) || '—',   // lib/model.js, as the feeds
+        timeLabel:   formatCaptureTime(img),
+        location:    img.location || day.location || 'San Diego, CA',
+        location_id: img.location_id || day.location_id || locationSlug(img.location || day.location),
       });
     }
 
@@ -307,52 +290,169 @@ async function processDays(days) {
   return processed;
 }
 
+// 'YYYY-MM-DD' formatted with toLocaleDateString `options`, the
+// same for every viewer
+function formatCalendarDate(iso, options) {
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d || 1)).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+}
+
 function formatDateLabel(iso) {
-  const [y, m, d] = iso.split('-');
-  return new Date(y, m - 1, d).toLocaleDateString('en-US', {
-    weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
-  });
+  return formatCalendarDate(iso, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+// "08:11 EDT" — the capture zone's abbreviation at that moment, or
+// just "08:11" for data without one
+function formatCaptureTime(img) {
+  if (!img.timestamp || !img.timezone) return img.time;
+  try {
+    const zone = new Intl.DateTimeFormat('en-US', { timeZone: img.timezone, timeZoneName: 'short' })
+      .formatToParts(new Date(img.timestamp))
+      .find(p => p.type === 'timeZoneName').value;
+    return `${img.time} ${zone}`;
+  } catch (e) {
+    return img.time;
+  }
+}
+
+// Capture instant in ms, for ordering images shot in different zones
+function captureMs(img) {
+  return img.timestamp ? Date.parse(img.timestamp) : Date.parse(`${img.date}T${img.time || '00:00'}:00Z`);
+}
+
+// 75.4 → "1:15"
+function formatDuration(seconds) {
+  const s = Math.round(seconds);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+
+// ── RESPONSIVE IMAGES ───────────────────────────────────────
+// build.js records resized derivatives (thumb / medium / full) and
+// a tiny blur placeholder for each upload. Images without them
+// (videos, remote sources, demo data) fall back to img.src.
+
+function derivativeSrc(img, name) {
+  const d = img.derivatives;
+  if (!d) return img.src;
+  return (d[name] || d.full || {}).src || img.src;
+}
+
+function imageSrcset(img) {
+  if (!img.derivatives) return '';
+  return Object.values(img.derivatives).map(d => `${d.src} ${d.width}w`).join(', ');
+}
+
+function setResponsiveSrc(el, img, sizes, name) {
+  const srcset = imageSrcset(img);
+  if (srcset) {
+    el.sizes  = sizes;
+    el.srcset = srcset;
+  } else {
+    el.removeAttribute('srcset');
+  }
+  el.src = derivativeSrc(img, name);
+}
+
+// Shows the blur placeholder behind `container` until `el` has loaded.
+function showPlaceholder(container, el, img) {
+  if (!img.placeholder) return;
+  container.style.backgroundImage = `url("${img.placeholder}")`;
+  container.classList.add('has-placeholder');
+  const done = () => el.classList.add('loaded');
+  if (el.complete && el.naturalWidth) done();
+  else el.addEventListener('load', done, { once: true });
 }
 
 
 // ── STATE ───────────────────────────────────────────────────
 
-let DAYS            = [];
+let ALL_DAYS        = [];   // every loaded chunk, newest first
+let DAYS            = [];   // ALL_DAYS narrowed by the filter bar
 let FLAT            = [];
+let FLAT_INDEX      = new Map();   // img.id → index in FLAT
 let currentFlatIndex = 0;
 let heroFlatIndex    = 0;
 
 
 // ── HERO CYCLING ────────────────────────────────────────────
-// Collects up to 10 most recent images flagged hero: true.
-// Crossfades between them every 5 seconds.
+// Plays the rotation build.js resolved from hero-manifest.json
+// (pins, weights, schedules — see lib/hero.js), skipping heroes
+// whose date window isn't open today. Without a manifest rotation,
+// falls back to the 10 newest images flagged hero: true.
+// Crossfades every 5 seconds; pauses while the tab is hidden, and
+// holds on the first hero (videos still) under reduced motion.
 // Clicking the meta area opens the current image in the lightbox.
 
 const HERO_MAX      = 10;
 const HERO_INTERVAL = 5000;  // ms between transitions
 const HERO_FADE     = 1200;  // ms crossfade — matches CSS transition
 
-let heroImages  = [];
-let heroIndex   = 0;
-let heroTimer   = null;
-let activeLayer = 'a';
+const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+let heroImages     = [];
+let heroCandidates = null;   // rotation from the index manifest; null → scan ALL_DAYS
+let heroIndex      = 0;
+let heroTimer      = null;
+let activeLayer    = 'a';
+
+// Visitor's local date, YYYY-MM-DD
+function todayLocal() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// A hero's schedule may open or close between builds
+function isHeroLive(img, today) {
+  const s = img.schedule;
+  return !s || ((!s.start || s.start <= today) && (!s.end || s.end >= today));
+}
 
 function buildHeroImages() {
+  if (heroCandidates) {
+    const today = todayLocal();
+    heroImages = heroCandidates.filter(img => isHeroLive(img, today));
+    return;
+  }
   const candidates = [];
-  DAYS.forEach(day => {
+  ALL_DAYS.forEach(day => {
     day.images.forEach(img => {
-      if (img.hero === true || img.hero === 'true') candidates.push({ ...img, label: day.label });
+      if (isHero(img.hero)) candidates.push({ ...img, label: day.label });
     });
   });
+  candidates.sort((a, b) => captureMs(b) - captureMs(a));
   heroImages = candidates.slice(0, HERO_MAX);
 }
 
+function stopHeroTimer() {
+  clearInterval(heroTimer);
+  heroTimer = null;
+}
+
+// Cycles only while there is something to cycle, the tab is visible,
+// the visitor hasn't asked for reduced motion and no collection or
+// stats view covers the hero.
+function startHeroTimer() {
+  stopHeroTimer();
+  if (heroImages.length > 1 && !document.hidden && !reducedMotion.matches && !COLLECTION && !statsOpen && !colourOpen) {
+    heroTimer = setInterval(cycleHero, HERO_INTERVAL);
+  }
+}
+
+document.addEventListener('visibilitychange', startHeroTimer);
+reducedMotion.addEventListener('change', () => {
+  if (!heroImages.length) return;
+  // Swap hero videos between playing and their poster frame
+  setHeroLayer(`hero-layer-${activeLayer}`, heroImages[heroIndex]);
+  startHeroTimer();
+});
+
 function renderHero() {
   buildHeroImages();
 
   // Fallback: no hero flags — use first image of newest day
   if (heroImages.length === 0) {
-    const firstDay = DAYS[0];
+    const firstDay = ALL_DAYS[0];
     if (!firstDay || !firstDay.images.length) return;
     heroImages = [{ ...firstDay.images[0], label: firstDay.label }];
   }
@@ -369,13 +469,9 @@ function renderHero() {
   // Preload second image into layer B
   if (heroImages.length > 1) setHeroLayer('hero-layer-b', heroImages[1]);
 
-  // Start cycling if more than one hero image
-  if (heroImages.length > 1) {
-    if (heroTimer) clearInterval(heroTimer);
-    heroTimer = setInterval(cycleHero, HERO_INTERVAL);
-  }
+  startHeroTimer();
 
-  heroFlatIndex = FLAT.findIndex(f => f.id === heroImages[0].id);
+  heroFlatIndex = flatIndexOf(heroImages[0]);
 }
 
 function cycleHero() {
@@ -399,7 +495,7 @@ function cycleHero() {
   }
 
   heroIndex     = nextIndex;
-  heroFlatIndex = FLAT.findIndex(f => f.id === next.id);
+  heroFlatIndex = flatIndexOf(next);
   updateHeroMeta(next);
 }
 
@@ -407,12 +503,26 @@ function setHeroLayer(layerId, img) {
   const layer = document.getElementById(layerId);
   if (!layer || !img) return;
   layer.innerHTML = '';
-  const isVideo = img.type === 'video';
+  // Under reduced motion a video shows its still poster instead
+  const isVideo = img.type === 'video' && !(reducedMotion.matches && img.poster);
+  layer.style.backgroundImage = '';
+  layer.classList.remove('has-placeholder');
   const el = isVideo
-    ? Object.assign(document.createElement('video'), { autoplay: true, muted: true, loop: true, playsInline: true })
+    ? Object.assign(document.createElement('video'), {
+        autoplay: !reducedMotion.matches, muted: true, loop: true, playsInline: true,
+      })
     : document.createElement('img');
-  el.src = img.src;
-  if (!isVideo) el.alt = img.caption || '';
+  if (isVideo) {
+    if (img.poster) el.poster = img.poster;
+    el.src = img.src;
+  } else if (img.type === 'video') {
+    el.alt = img.caption || '';
+    el.src = img.poster;
+  } else {
+    el.alt = img.caption || '';
+    setResponsiveSrc(el, img, '100vw', 'full');
+    showPlaceholder(layer, el, img);
+  }
   layer.appendChild(el);
 }
 
@@ -426,168 +536,276 @@ function updateHeroMeta(img) {
   document.getElementById('hero-tag').style.background =
     img.tag === 'sunrise' ? 'rgba(200,131,60,0.92)' : 'rgba(180,70,40,0.92)';
   document.getElementById('hero-data').innerHTML =
-    `${img.label}<br>${img.time} · ${img.location}<br>${img.weather}`;
-}
-
-
-// ── WEEK GROUPING ───────────────────────────────────────────
-// Returns the Sunday that starts the week containing a given date.
-function getWeekSunday(dateStr) {
-  const [y, m, d] = dateStr.split('-').map(Number);
-  const date = new Date(y, m - 1, d);
-  const day  = date.getDay(); // 0 = Sunday
-  date.setDate(date.getDate() - day);
-  return date.toISOString().slice(0, 10);
-}
-
-// Groups DAYS array into weeks, newest week first.
-// Each week = { sunday: 'YYYY-MM-DD', days: [...] }
-// Within each week, days are newest first (as sorted by DAYS).
-function groupByWeek(days) {
-  const weeks = [];
-  const map   = {};
-  days.forEach(day => {
-    const key = getWeekSunday(day.date);
-    if (!map[key]) {
-      map[key] = { sunday: key, days: [] };
-      weeks.push(map[key]);
-    }
-    map[key].days.push(day);
-  });
-  // Newest week first
-  weeks.sort((a, b) => b.sunday.localeCompare(a.sunday));
-  return weeks;
+    `${img.label}<br>${img.timeLabel} · ${img.location}<br>${img.weather}`;
 }
 
 
 // ── RENDER TIMELINE ─────────────────────────────────────────
+// Every week gets a block, but only blocks near the viewport hold
+// thumbnails: weekObserver fills a block as it comes within
+// WEEK_MARGIN of the screen and empties it again once it's well
+// out of range. Empty blocks keep their height from the day count
+// (.week-block.is-pending in style.css), so the scrollbar and
+// anchors stay put. Blocks are reused across renders while their
+// days are unchanged; a sentinel after the last one loads the next
+// chunk.
+
+const WEEK_MARGIN = '100% 0px';   // fill blocks within a screen above / below
+const weekBlocks  = new Map();    // week key → block element
+
+const weekObserver = new IntersectionObserver(entries => {
+  entries.forEach(e => { e.isIntersecting ? fillWeek(e.target) : emptyWeek(e.target); });
+}, { rootMargin: WEEK_MARGIN });
+
+const chunkSentinel = Object.assign(document.createElement('div'), {
+  className:   'loading-state',
+  textContent: 'Loading archive…',
+});
+
+const chunkObserver = new IntersectionObserver(entries => {
+  if (!entries.some(e => e.isIntersecting)) return;
+  loadChunk()
+    .then(loaded => loaded && applyFilters(false))
+    .catch(e => console.warn('Could not load more of the archive', e));
+}, { rootMargin: WEEK_MARGIN });
 
 function renderTimeline() {
   const container = document.getElementById('timeline');
-  container.innerHTML = '';
 
-  if (DAYS.length === 0) {
-    container.innerHTML = '<div class="loading-state">No entries yet. Add your first day in the CMS.</div>';
+  if (ALL_DAYS.length === 0 || DAYS.length === 0) {
+    weekBlocks.forEach(emptyWeek);
+    weekBlocks.clear();
+    weekObserver.disconnect();
+    container.innerHTML = LOAD_ERROR
+      ? `<div class="loading-state">Couldn't load the archive (${escapeXml(LOAD_ERROR)}). ` +
+        'Run node build.js, or add ?demo to the address for sample photos.</div>'
+      : ALL_DAYS.length === 0
+      ? '<div class="loading-state">No entries yet. Add your first day in the CMS.</div>'
+      : '<div class="loading-state">Nothing matches these filters.</div>';
+    document.getElementById('footer-count').textContent = ALL_DAYS.length === 0
+      ? ''
+      : `0 of ${TOTAL_IMAGES} photos & videos`;
     return;
   }
 
-  const weeks = groupByWeek(DAYS);
-  let total   = 0;
-
-  weeks.forEach(week => {
-    const weekEl = document.createElement('div');
-    weekEl.className = 'week-block';
-
-    // Date range header: newest day – oldest day in the week
-    const newestDay   = week.days[0];
-    const oldestDay   = week.days[week.days.length - 1];
-    const newestLabel = newestDay.label.toUpperCase();
-    const oldestLabel = oldestDay.label.toUpperCase();
-    const rangeLabel  = newestDay.date === oldestDay.date
-      ? newestLabel
-      : `${newestLabel} – ${oldestLabel}`;
-
-    weekEl.innerHTML = `
-      <div class="week-header">
-        <span class="week-date">${rangeLabel}</span>
-      </div>
-    `;
-
-    // Render each day in the week as a contact strip row
-    week.days.forEach(day => {
-      total += day.images.length;
-      const timeAsc     = (a, b) => a.time < b.time ? -1 : a.time > b.time ? 1 : 0;
-      const sunriseImgs = day.images.filter(i => i.tag === 'sunrise').sort(timeAsc);
-      const sunsetImgs  = day.images.filter(i => i.tag === 'sunset').sort(timeAsc);
-
-      const strip = document.createElement('div');
-      strip.className = 'contact-strip';
-
-      const leftCluster = document.createElement('div');
-      leftCluster.className = 'cluster-sunrise';
-      sunriseImgs.forEach(img => leftCluster.appendChild(makeThumb(img)));
-
-      // Gap zone — responsive info column between sunrise and sunset clusters
-      const gapZone  = document.createElement('div');
-      gapZone.className = 'gap-zone';
-      const srCount  = sunriseImgs.length;
-      const ssCount  = sunsetImgs.length;
-      const [dy, dm, dd] = day.date.split('-').map(Number);
-      const shortDate = new Date(dy, dm - 1, dd)
-        .toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })
-        .toUpperCase();
-      const nb = '\u00A0';
-
-      const inner   = document.createElement('div');
-      inner.className = 'gz-inner';
-
-      const dateEl  = document.createElement('span');
-      dateEl.className = 'gz-date';
-      dateEl.textContent = shortDate;
-
-      const countsEl = document.createElement('div');
-      countsEl.className = 'gz-counts';
-      if (srCount) {
-        const p = document.createElement('span');
-        p.className = 'gz-pill';
-        p.textContent = `${srCount}${nb}sunrise`;
-        countsEl.appendChild(p);
-      }
-      if (ssCount) {
-        const p = document.createElement('span');
-        p.className = 'gz-pill';
-        p.textContent = `${ssCount}${nb}sunset`;
-        countsEl.appendChild(p);
-      }
-
-      inner.appendChild(dateEl);
-      inner.appendChild(countsEl);
-      gapZone.appendChild(inner);
-      gapZone.dataset.sr = srCount;
-      gapZone.dataset.ss = ssCount;
-
-      const rightCluster = document.createElement('div');
-      rightCluster.className = 'cluster-sunset';
-      sunsetImgs.forEach(img => rightCluster.appendChild(makeThumb(img)));
-
-      // Only append non-empty clusters — empty ones create phantom gaps in the flex layout
-      if (srCount > 0) strip.appendChild(leftCluster);
-      strip.appendChild(gapZone);
-      if (ssCount > 0) strip.appendChild(rightCluster);
-      weekEl.appendChild(strip);
-    });
+  const blocks = [];
+  const keep   = new Set();
+  groupByWeek(DAYS).forEach(week => {
+    const key = week.days.map(d => `${d.date}:${d.images.map(i => i.id).join(',')}`).join('|');
+    let block = weekBlocks.get(key);
+    if (!block) {
+      block = makeWeekBlock(week);
+      weekBlocks.set(key, block);
+      weekObserver.observe(block);
+    }
+    keep.add(key);
+    blocks.push(block);
+  });
+  weekBlocks.forEach((block, key) => {
+    if (keep.has(key)) return;
+    emptyWeek(block);
+    weekObserver.unobserve(block);
+    weekBlocks.delete(key);
+  });
+
+  if (nextChunk < CHUNKS.length) blocks.push(chunkSentinel);
+  container.replaceChildren(...blocks);
+  // Re-observing reports the sentinel's current state, so a short
+  // chunk that leaves it on screen still triggers the next load
+  chunkObserver.unobserve(chunkSentinel);
+  if (nextChunk < CHUNKS.length) chunkObserver.observe(chunkSentinel);
 
-    container.appendChild(weekEl);
+  document.getElementById('footer-count').textContent = hasFilters()
+    ? `${countImages(DAYS)} of ${TOTAL_IMAGES} photos & videos`
+    : `${TOTAL_IMAGES} photos & videos archived`;
+}
+
+// Week header plus an empty, correctly sized body.
+function makeWeekBlock(week) {
+  const weekEl = document.createElement('div');
+  weekEl.className = 'week-block is-pending';
+  weekEl.week      = week;
+  weekEl.style.setProperty('--days', week.days.length);
+
+  // Date range header: newest day – oldest day in the week
+  const newestDay   = week.days[0];
+  const oldestDay   = week.days[week.days.length - 1];
+  const newestLabel = newestDay.label.toUpperCase();
+  const oldestLabel = oldestDay.label.toUpperCase();
+  const rangeLabel  = newestDay.date === oldestDay.date
+    ? newestLabel
+    : `${newestLabel} – ${oldestLabel}`;
+
+  weekEl.innerHTML = `
+    <div class="week-header">
+      <span class="week-date">${rangeLabel}</span>
+      <button class="week-play" type="button" title="Play this week as a looping slideshow">▶ Play week</button>
+    </div>
+    <div class="week-days"></div>
+  `;
+  weekEl.querySelector('.week-play').addEventListener('click', () =>
+    startSlideshow(weekInTimeOrder(week), 0, { loop: true }));
+  return weekEl;
+}
+
+// Renders each day in the week as a contact strip row
+function fillWeek(weekEl) {
+  if (!weekEl.classList.contains('is-pending')) return;
+  const daysEl = weekEl.querySelector('.week-days');
+  weekEl.week.days.forEach(day => daysEl.appendChild(makeStrip(day)));
+  weekEl.classList.remove('is-pending');
+  updateGapZones(weekEl);
+}
+
+function emptyWeek(weekEl) {
+  if (weekEl.classList.contains('is-pending')) return;
+  weekEl.querySelectorAll('video').forEach(v => {
+    videoObserver.unobserve(v);
+    v.pause();
   });
+  weekEl.querySelector('.week-days').innerHTML = '';
+  weekEl.classList.add('is-pending');
+}
+
+// Fills the week holding `date` and scrolls its strip into view.
+function scrollToDay(date) {
+  for (const weekEl of weekBlocks.values()) {
+    if (!weekEl.week.days.some(d => d.date === date)) continue;
+    fillWeek(weekEl);
+    const strip = document.getElementById(`day-${date}`);
+    if (strip) strip.scrollIntoView({ block: 'center' });
+    return;
+  }
+}
+
+// One thumbnail per burst (build.js marks them, see lib/bursts.js):
+// the frame the burst is named after stands in for the rest, or
+// the first member the filters left. → [{ img, count }] in time
+// order, count = frames the thumbnail covers.
+function collapseBursts(images) {
+  const shown = [];
+  const byId  = new Map();   // burst id → its entry in shown
+  for (const img of images) {
+    const entry = img.burst && byId.get(img.burst.id);
+    if (entry) {
+      entry.count++;
+      if (img.slug === img.burst.id) entry.img = img;
+      continue;
+    }
+    shown.push({ img, count: 1 });
+    if (img.burst) byId.set(img.burst.id, shown[shown.length - 1]);
+  }
+  return shown;
+}
 
-  document.getElementById('footer-count').textContent = `${total} photos & videos archived`;
+function makeStrip(day) {
+  const sunriseImgs = day.images.filter(i => i.tag === 'sunrise').sort(compareTime);
+  const sunsetImgs  = day.images.filter(i => i.tag === 'sunset').sort(compareTime);
+  const sunriseShown = collapseBursts(sunriseImgs);
+  const sunsetShown  = collapseBursts(sunsetImgs);
+
+  const strip = document.createElement('div');
+  strip.className = 'contact-strip';
+  strip.id        = `day-${day.date}`;
+
+  const leftCluster = document.createElement('div');
+  leftCluster.className = 'cluster-sunrise';
+  sunriseShown.forEach(({ img, count }) => leftCluster.appendChild(makeThumb(img, count)));
+
+  // Gap zone — responsive info column between sunrise and sunset clusters
+  const gapZone  = document.createElement('div');
+  gapZone.className = 'gap-zone';
+  const srCount  = sunriseImgs.length;
+  const ssCount  = sunsetImgs.length;
+  const shortDate = formatCalendarDate(day.date, { weekday: 'short', month: 'short', day: 'numeric' })
+    .toUpperCase();
+  const nb = '\u00A0';
+
+  const inner   = document.createElement('div');
+  inner.className = 'gz-inner';
+
+  const dateEl  = document.createElement('span');
+  dateEl.className = 'gz-date';
+  dateEl.textContent = shortDate;
+
+  const countsEl = document.createElement('div');
+  countsEl.className = 'gz-counts';
+  if (srCount) {
+    const p = document.createElement('span');
+    p.className = 'gz-pill';
+    p.textContent = `${srCount}${nb}sunrise`;
+    p.style.color = sideTint(sunriseImgs);
+    countsEl.appendChild(p);
+  }
+  if (ssCount) {
+    const p = document.createElement('span');
+    p.className = 'gz-pill';
+    p.textContent = `${ssCount}${nb}sunset`;
+    p.style.color = sideTint(sunsetImgs);
+    countsEl.appendChild(p);
+  }
+
+  const replay = Object.assign(document.createElement('button'), {
+    className: 'gz-play', type: 'button', textContent: '▶\u00A0Replay', title: 'Replay this day as a slideshow',
+  });
+  replay.addEventListener('click', () => startSlideshow(dayInTimeOrder(day)));
+
+  inner.appendChild(dateEl);
+  inner.appendChild(countsEl);
+  inner.appendChild(replay);
+  gapZone.appendChild(inner);
+  // Columns go by thumbnails shown, the pills by frames
+  gapZone.dataset.sr = sunriseShown.length;
+  gapZone.dataset.ss = sunsetShown.length;
+
+  const rightCluster = document.createElement('div');
+  rightCluster.className = 'cluster-sunset';
+  sunsetShown.forEach(({ img, count }) => rightCluster.appendChild(makeThumb(img, count)));
+
+  // Only append non-empty clusters — empty ones create phantom gaps in the flex layout
+  if (srCount > 0) strip.appendChild(leftCluster);
+  strip.appendChild(gapZone);
+  if (ssCount > 0) strip.appendChild(rightCluster);
+  return strip;
 }
 
-function makeThumb(img) {
-  const flatIdx = FLAT.findIndex(f => f.id === img.id);
+// One observer for every desktop video thumbnail: play while at
+// least 10% is on screen, pause otherwise.
+const videoObserver = new IntersectionObserver(entries => {
+  entries.forEach(e => { e.isIntersecting ? e.target.play().catch(() => {}) : e.target.pause(); });
+}, { threshold: 0.1 });
+
+// count > 1 → the thumbnail stands for a collapsed burst of that
+// many frames (collapseBursts); the lightbox shows them all
+function makeThumb(img, count = 1) {
   const wrap    = document.createElement('div');
-  wrap.className = 'thumb-wrap' + (img.type === 'video' ? ' is-video' : '');
+  wrap.className = 'thumb-wrap' + (img.type === 'video' ? ' is-video' : '') + (count > 1 ? ' is-burst' : '');
+  if (img.colour) wrap.style.backgroundColor = img.colour.dominant;   // until the image arrives
 
   let el;
-  if (img.type === 'video' && img.thumb) {
+  if (img.type === 'video' && img.preview && window.innerWidth > 1024) {
+    // Desktop: build.js's short muted preview clip, played by the shared videoObserver
+    el = Object.assign(document.createElement('video'), { muted: true, loop: true, playsInline: true, preload: 'none' });
+    el.poster = img.thumb || '';
+    el.src    = img.preview;
+    videoObserver.observe(el);
+  } else if (img.type === 'video' && img.thumb) {
     // Static poster thumbnail — fast on low bandwidth, no native play button issues
     el = Object.assign(document.createElement('img'), { alt: img.caption || '', loading: 'lazy' });
     el.src = img.thumb;
   } else if (img.type === 'video' && window.innerWidth > 1024) {
-    // Desktop: live video with IntersectionObserver autoplay
+    // Desktop, no preview built: the full video, played by the shared videoObserver
     el = Object.assign(document.createElement('video'), { muted: true, loop: true, playsInline: true });
     el.src = img.src;
-    const obs = new IntersectionObserver(entries => {
-      entries.forEach(e => { e.isIntersecting ? el.play().catch(() => {}) : el.pause(); });
-    }, { threshold: 0.1 });
-    obs.observe(el);
+    videoObserver.observe(el);
   } else if (img.type === 'video') {
     // Mobile: placeholder div avoids iOS native play button; CSS ::after adds triangle
     el = document.createElement('div');
     el.className = 'video-placeholder';
   } else {
     el = Object.assign(document.createElement('img'), { alt: img.caption || '', loading: 'lazy' });
-    el.src = img.src;
+    setResponsiveSrc(el, img, `${Math.ceil(COL_W)}px`, 'thumb');
+    showPlaceholder(wrap, el, img);
   }
 
   const tag = document.createElement('div');
@@ -596,48 +814,94 @@ function makeThumb(img) {
 
   wrap.appendChild(el);
   wrap.appendChild(tag);
-  wrap.addEventListener('click', () => openLightbox(flatIdx));
+  if (img.duration) {
+    const badge = document.createElement('div');
+    badge.className   = 'thumb-duration';
+    badge.textContent = formatDuration(img.duration);
+    wrap.appendChild(badge);
+  }
+  if (count > 1) {
+    const badge = document.createElement('div');
+    badge.className   = 'thumb-burst';
+    badge.textContent = `×${count}`;
+    badge.title       = `${count} frames shot in a burst`;
+    wrap.appendChild(badge);
+  }
+  // Looked up on click: FLAT shifts as chunks load and filters change
+  wrap.addEventListener('click', () => openLightbox(flatIndexOf(img)));
   return wrap;
 }
 
 
 // ── LIGHTBOX ────────────────────────────────────────────────
 
-function openLightboxFromHero() {
+function flatIndexOf(img) {
+  return FLAT_INDEX.has(img.id) ? FLAT_INDEX.get(img.id) : -1;
+}
+
+async function openLightboxFromHero() {
+  // The hero spans the whole archive: its frame may be in a chunk
+  // that isn't loaded yet, or filtered out — then show everything
+  const img = heroImages[heroIndex];
+  if (heroFlatIndex === -1 && img) {
+    if (await loadChunksThrough(img.date)) await applyFilters(false);
+    if (heroFlatIndex === -1) await clearFilters();
+  }
   openLightbox(heroFlatIndex);
 }
 
-function openLightbox(idx) {
+// fromHistory: called by applyRoute() for a URL already in the
+// address bar (reload, back/forward), so don't push another entry.
+function openLightbox(idx, fromHistory = false) {
   currentFlatIndex = Math.max(0, Math.min(idx, FLAT.length - 1));
   document.getElementById('lightbox').classList.add('open');
   document.body.style.overflow = 'hidden';
   renderLightboxFrame();
+  if (!fromHistory && FLAT[currentFlatIndex]) {
+    history.pushState({ lightbox: true }, '', permalink(FLAT[currentFlatIndex]) + filtersToSearch());
+  }
 }
 
-function closeLightbox() {
-  document.getElementById('lightbox').classList.remove('open');
+function closeLightbox(fromHistory = false) {
+  const lightbox = document.getElementById('lightbox');
+  const wasOpen  = lightbox.classList.contains('open');
+  lightbox.classList.remove('open');
   document.body.style.overflow = '';
+  resetZoom();
   const v = document.getElementById('lb-video');
   v.pause();
   v.src = '';
+
+  if (fromHistory || !wasOpen) return;
+  // Opened from the page → step back to it; landed on a permalink → go home
+  if (history.state && history.state.lightbox) history.back();
+  else history.replaceState(null, '', COLLECTION ? collectionUrl(COLLECTION) : '/' + filtersToSearch());
 }
 
-function stepLightbox(dir) {
+async function stepLightbox(dir) {
   const next = currentFlatIndex + dir;
+  // Stepping past the oldest loaded frame pulls in the next chunk
+  if (next === FLAT.length && await loadChunk()) await applyFilters(false);
   if (next < 0 || next >= FLAT.length) return;
   currentFlatIndex = next;
   renderLightboxFrame();
+  history.replaceState({ lightbox: true }, '', permalink(FLAT[currentFlatIndex]) + filtersToSearch());
 }
 
 function renderLightboxFrame() {
   const item   = FLAT[currentFlatIndex];
   if (!item) return;
+  resetZoom();
 
   const lbImg   = document.getElementById('lb-img');
   const lbVideo = document.getElementById('lb-video');
 
+  // Marked at build time (lib/watermark.js) — the overlay would double it
+  document.getElementById('lightbox').classList.toggle('is-watermarked', !!item.watermarked);
+
   if (item.type === 'video') {
     lbImg.style.display   = 'none';
+    lbVideo.poster        = item.poster || item.thumb || '';   // shown until playback starts
     lbVideo.src           = item.src;
     lbVideo.style.display = 'block';
     lbVideo.play();
@@ -645,8 +909,8 @@ function renderLightboxFrame() {
     lbVideo.style.display = 'none';
     lbVideo.pause();
     lbImg.style.display   = 'block';
-    lbImg.src             = item.src;
     lbImg.alt             = item.caption || '';
+    loadLightboxImage(lbImg, item);
   }
 
   document.getElementById('lb-caption').textContent = item.caption || '';
@@ -654,35 +918,107 @@ function renderLightboxFrame() {
   document.getElementById('lb-meta').innerHTML = `
     <span class="tag-pill ${item.tag}">${item.tag}</span><br>
     ${dateLabel}<br>
-    ${item.time}<br>
+    ${item.timeLabel}${item.light ? ` · ${formatLight(item.light)}` : ''}<br>
     ${item.location}<br>
     ${item.weather}
+    ${item.colour ? `<br><span class="lb-palette" title="${item.colour.family}">${item.colour.palette
+      .map(hex => `<span style="background:${hex}"></span>`).join('')}</span>` : ''}
   `;
   document.getElementById('lb-counter').textContent =
     `${currentFlatIndex + 1} / ${FLAT.length}`;
   document.getElementById('lb-prev').disabled = (currentFlatIndex === 0);
   document.getElementById('lb-next').disabled = (currentFlatIndex === FLAT.length - 1);
 
-  // Order Print mailto link
-  const imgUrl  = item.src.startsWith('http') ? item.src : `${window.location.origin}${item.src}`;
-  const subject = encodeURIComponent(`Print Order Request — ${item.date} ${item.original || item.time}`);
-  const details = [
-    `Date: ${item.date}`,
-    item.original ? `File: ${item.original}` : null,
-    `Image: ${imgUrl}`,
-  ].filter(Boolean).join('\n');
-  const bodyLines = `Hi! I'm interested in ordering a digital print of this image. Please get back to me with an estimate.\n\n\n${details}`;
-  document.getElementById('lb-print').href = `mailto:info@boardshort-photography.com?subject=${subject}&body=${encodeURIComponent(bodyLines)}`;
+  renderLightboxBurst(item);
+
+  // Order Print: photos only; a new frame starts a new order
+  document.getElementById('lb-print').style.display = item.type === 'video' ? 'none' : '';
+  closePrintForm();
+}
+
+// The frames of item's burst still in FLAT, in order
+function burstMembers(item) {
+  if (!item.burst) return [];
+  return FLAT.filter(img => img.burst && img.date === item.date && img.burst.id === item.burst.id);
+}
+
+// A burst collapsed to one thumbnail in the timeline opens out
+// here: a row of its frames under the counter, the current one
+// marked, each a jump to that frame.
+function renderLightboxBurst(item) {
+  const el      = document.getElementById('lb-burst');
+  const members = burstMembers(item);
+  el.innerHTML  = '';
+  el.style.display = members.length > 1 ? '' : 'none';
+  if (members.length < 2) return;
+
+  const label = document.createElement('span');
+  label.className   = 'lb-burst-label';
+  label.textContent = `Burst · ${members.indexOf(item) + 1} / ${members.length}`;
+  el.appendChild(label);
+
+  members.forEach(img => {
+    const btn = Object.assign(document.createElement('button'), {
+      type: 'button', className: 'lb-burst-frame' + (img === item ? ' is-current' : ''), title: img.timeLabel,
+    });
+    const thumb = Object.assign(document.createElement('img'), { alt: '' });
+    if (img.type === 'video') thumb.src = img.thumb || img.poster || '';
+    else setResponsiveSrc(thumb, img, '48px', 'thumb');
+    btn.appendChild(thumb);
+    btn.addEventListener('click', () => stepLightbox(flatIndexOf(img) - currentFlatIndex));
+    el.appendChild(btn);
+  });
 }
 
-// Keyboard navigation
+// Sizes lb-img to the fitted image box up front, so the placeholder
+// fills the same area the full image will, then swaps the real
+// image in once it has loaded. Stepping quickly past a frame drops
+// its pending load (lbImg.dataset.pending no longer matches).
+function fitLightboxImage(lbImg, item) {
+  if (!item.width || !item.height) {
+    lbImg.style.width = lbImg.style.height = '';
+    return null;
+  }
+  const scale = Math.min(window.innerWidth * 0.92 / item.width, window.innerHeight * 0.78 / item.height, 1);
+  const w     = Math.round(item.width * scale);
+  lbImg.style.width  = `${w}px`;
+  lbImg.style.height = `${Math.round(item.height * scale)}px`;
+  return w;
+}
+
+function loadLightboxImage(lbImg, item) {
+  const w     = fitLightboxImage(lbImg, item);
+  const sizes = w ? `${w}px` : '92vw';
+  if (!item.placeholder) {
+    setResponsiveSrc(lbImg, item, sizes, 'full');
+    return;
+  }
+
+  lbImg.removeAttribute('srcset');
+  lbImg.src = item.placeholder;
+  lbImg.classList.add('is-placeholder');
+
+  const key    = derivativeSrc(item, 'full');
+  const loader = new Image();
+  lbImg.dataset.pending = key;
+  loader.onload = () => {
+    if (lbImg.dataset.pending !== key) return;
+    setResponsiveSrc(lbImg, item, sizes, 'full');
+    lbImg.classList.remove('is-placeholder');
+  };
+  setResponsiveSrc(loader, item, sizes, 'full');
+}
+
+// Keyboard navigation (the slideshow has its own, below)
 document.addEventListener('keydown', e => {
+  if (isSlideshowOpen()) return;
   if (e.key === 'Escape') {
-    if (document.getElementById('lightbox').classList.contains('open')) closeLightbox();
+    if (isPrintFormOpen()) closePrintForm();
+    else if (document.getElementById('lightbox').classList.contains('open')) closeLightbox();
     else closeAbout();
     return;
   }
-  if (!document.getElementById('lightbox').classList.contains('open')) return;
+  if (!document.getElementById('lightbox').classList.contains('open') || isPrintFormOpen()) return;
   if (e.key === 'ArrowLeft')  stepLightbox(-1);
   if (e.key === 'ArrowRight') stepLightbox(1);
 });
@@ -693,6 +1029,857 @@ document.getElementById('lightbox').addEventListener('click', function (e) {
 });
 
 
+// ── PERMALINKS ──────────────────────────────────────────────
+// /day/2026-03-22/      → scrolls to that day's strip
+// /day/2026-03-22/0701  → opens that frame in the lightbox
+// /location/tampa/      → the archive filtered to that place
+//                         (see LOCATIONS below)
+// /collection/featured/ → a curated collection (see COLLECTIONS)
+// /stats/               → archive statistics (see STATS)
+// build.js writes a static page (with Open Graph meta) at each of
+// these paths; all of them load this same script. Filters ride
+// along in the query string.
+
+function permalink(img) {
+  return `/day/${img.date}/${img.slug}`;
+}
+
+function parseRoute(pathname) {
+  const m = pathname.match(/^\/day\/(\d{4}-\d{2}-\d{2})(?:\/([\w-]+))?\/?$/);
+  return m ? { date: m[1], slug: m[2] || null } : null;
+}
+
+async function applyRoute() {
+  const route = parseRoute(window.location.pathname);
+  if (route && await loadChunksThrough(route.date)) await applyFilters(false);
+
+  const idx = route && route.slug
+    ? FLAT.findIndex(f => f.date === route.date && f.slug === route.slug)
+    : -1;
+
+  if (idx !== -1) {
+    openLightbox(idx, true);
+    return;
+  }
+  closeLightbox(true);
+  if (route) scrollToDay(route.date);
+}
+
+// Brings the page in line with the address bar: after back /
+// forward, or an in-page link (navigateTo below).
+async function followUrl() {
+  const changed = readFilters(window.location.search);
+  const moved   = await readCollectionRoute();
+  await readStatsRoute();
+  const browsed = await readColourRoute();
+  if (readLocationRoute() || changed || moved || browsed) await applyFilters(false);
+  applyRoute();
+}
+
+window.addEventListener('popstate', followUrl);
+
+
+// ── FILTERS ─────────────────────────────────────────────────
+// The filter bar narrows ALL_DAYS into DAYS (and FLAT, so the
+// lightbox only steps through matches). State lives in the query
+// string — ?location=…&tag=sunset&from=2026-03-01&q=pelican — so a
+// filtered view can be bookmarked or shared, and survives opening
+// a permalink. ?colour=pink keeps one colour family (see COLOUR).
+
+const FILTER_KEYS = ['q', 'location', 'tag', 'type', 'colour', 'month', 'from', 'to', 'hero'];
+const FILTERS     = {};
+
+function hasFilters() {
+  return FILTER_KEYS.some(k => FILTERS[k]);
+}
+
+function countImages(days) {
+  return days.reduce((n, day) => n + day.images.length, 0);
+}
+
+function matchesFilters(img) {
+  const f = FILTERS;
+  if (f.location && img.location_id !== f.location)       return false;
+  if (f.tag      && img.tag !== f.tag)                    return false;
+  if (f.type     && img.type !== f.type)                  return false;
+  if (f.hero     && !isHero(img.hero))                    return false;
+  if (f.colour   && (!img.colour || img.colour.family !== f.colour)) return false;
+  if (f.month    && !img.date.startsWith(f.month))        return false;
+  if (f.from     && img.date < f.from)                    return false;
+  if (f.to       && img.date > f.to)                      return false;
+  if (f.q        && !(img.caption || '').toLowerCase().includes(f.q.toLowerCase())) return false;
+  return true;
+}
+
+// Fills FILTERS from a query string. Returns true if anything changed.
+function readFilters(search) {
+  const params  = new URLSearchParams(search);
+  let changed   = false;
+  FILTER_KEYS.forEach(k => {
+    const value = params.get(k) || '';
+    if ((FILTERS[k] || '') !== value) changed = true;
+    FILTERS[k] = value;
+  });
+  return changed;
+}
+
+// `omit`: keys the path already carries. Filters don't apply
+// inside a collection; its frames carry ?collection=<id> instead.
+// Nor in the colour view, whose frames carry nothing.
+function filtersToSearch(omit = []) {
+  if (COLLECTION) return `?collection=${COLLECTION.id}`;
+  if (colourOpen) return '';
+  const params = new URLSearchParams();
+  FILTER_KEYS.forEach(k => { if (FILTERS[k] && !omit.includes(k)) params.set(k, FILTERS[k]); });
+  const str = params.toString();
+  return str ? `?${str}` : '';
+}
+
+// Rebuilds DAYS and FLAT from ALL_DAYS, and re-renders — also the
+// step after each chunk arrives. Filtering needs the whole archive,
+// so any active filter loads the remaining chunks first.
+// updateUrl: false when the filters were just read from the URL
+// (load, back/forward).
+async function applyFilters(updateUrl = true) {
+  if (hasFilters()) await loadAllChunks();
+
+  DAYS = hasFilters()
+    ? ALL_DAYS
+        .map(day => ({ ...day, images: day.images.filter(matchesFilters) }))
+        .filter(day => day.images.length)
+    : ALL_DAYS;
+
+  // Flat index for lightbox navigation — chronological within each
+  // day, or the open collection's own order, or by hue in the
+  // colour view
+  FLAT = [];
+  if (COLLECTION) FLAT = COLLECTION.images.slice();
+  else if (colourOpen) FLAT = spectrum();
+  else DAYS.forEach(day => day.images.forEach(img => FLAT.push(img)));
+  FLAT_INDEX = new Map(FLAT.map((img, i) => [img.id, i]));
+
+  if (updateUrl) {
+    history.replaceState(history.state, '', filterUrl());
+  }
+  syncFilterBar();
+  renderLocationPanel();
+  renderTimeline();
+  heroFlatIndex = heroImages[heroIndex] ? flatIndexOf(heroImages[heroIndex]) : -1;
+}
+
+function clearFilters() {
+  FILTER_KEYS.forEach(k => { FILTERS[k] = ''; });
+  return applyFilters();
+}
+
+// Location and month options come from the archive itself: the
+// index manifest lists both, older index.json files are scanned.
+function initFilterBar() {
+  const months = CHUNKS.length
+    ? CHUNKS.map(c => c.id)
+    : [...new Set(ALL_DAYS.map(d => d.date.slice(0, 7)))];   // already newest first
+
+  const addOptions = (id, values, label) => {
+    const select = document.getElementById(id);
+    values.forEach(value => select.appendChild(Object.assign(document.createElement('option'), {
+      value, textContent: label(value),
+    })));
+  };
+  addOptions('fb-location', LOCATIONS.map(loc => loc.id), id => {
+    const loc = LOCATIONS.find(l => l.id === id);
+    return `${loc.name} (${loc.images})`;
+  });
+  addOptions('fb-colour', COLOURS.map(c => c.family), family => {
+    const c = COLOURS.find(col => col.family === family);
+    return `${family[0].toUpperCase()}${family.slice(1)} (${c.images})`;
+  });
+  addOptions('fb-month', months, v => formatCalendarDate(v, { month: 'long', year: 'numeric' }));
+
+  FILTER_KEYS.forEach(k => {
+    const el = document.getElementById(`fb-${k}`);
+    const onChange = () => {
+      FILTERS[k] = el.type === 'checkbox' ? (el.checked ? '1' : '') : el.value.trim();
+      applyFilters();
+    };
+    // Caption search waits for a pause in typing; the rest apply at once
+    if (k === 'q') {
+      let timer;
+      el.addEventListener('input', () => { clearTimeout(timer); timer = setTimeout(onChange, 200); });
+    } else {
+      el.addEventListener('change', onChange);
+    }
+  });
+}
+
+// Puts FILTERS into the form controls (after a URL change or Clear).
+function syncFilterBar() {
+  FILTER_KEYS.forEach(k => {
+    const el = document.getElementById(`fb-${k}`);
+    if (el.type === 'checkbox') el.checked = !!FILTERS[k];
+    else if (el !== document.activeElement) el.value = FILTERS[k];
+  });
+  document.getElementById('filter-bar').classList.toggle('is-filtered', hasFilters());
+}
+
+
+// ── LOCATIONS ───────────────────────────────────────────────
+// /location/tampa/ is the archive filtered to one place — the same
+// as ?location=tampa — with a panel listing every day shot there.
+// Each place's counts and date range come from the index manifest
+// (see lib/locations.js); older index.json files are counted here.
+
+let LOCATIONS = [];   // [{ id, name, images, from, to, days: [{ date, images }] }], by name
+
+// "St. Pete Beach, FL" → "st-pete-beach-fl", for data built before
+// location ids existed
+function locationSlug(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function initLocations(content) {
+  if ((content.locations || []).some(loc => typeof loc === 'object')) {
+    LOCATIONS = content.locations;
+    return;
+  }
+  const byId = new Map();
+  ALL_DAYS.forEach(day => day.images.forEach(img => {
+    if (!byId.has(img.location_id)) byId.set(img.location_id, { id: img.location_id, name: img.location, images: 0, days: [] });
+    const loc  = byId.get(img.location_id);
+    const last = loc.days[loc.days.length - 1];
+    loc.images++;
+    if (last && last.date === day.date) last.images++;
+    else loc.days.push({ date: day.date, images: 1 });
+  }));
+  LOCATIONS = [...byId.values()]
+    .map(loc => ({ ...loc, from: loc.days[loc.days.length - 1].date, to: loc.days[0].date }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function parseLocationRoute(pathname) {
+  const m = pathname.match(/^\/location\/([\w-]+)\/?$/);
+  return m ? m[1] : null;
+}
+
+// Puts the place from a /location/… path into FILTERS, and turns
+// ?location=<name> from older links into the id. Returns true if
+// that changed the location filter.
+function readLocationRoute() {
+  const before = FILTERS.location || '';
+  const inPath = parseLocationRoute(window.location.pathname);
+  if (inPath) FILTERS.location = inPath;
+  const byName = LOCATIONS.find(loc => loc.name === FILTERS.location);
+  if (byName) FILTERS.location = byName.id;
+  return (FILTERS.location || '') !== before;
+}
+
+// Address for the current filters: on a location page the place
+// stays in the path; clearing it goes back home.
+function filterUrl() {
+  if (!parseLocationRoute(window.location.pathname)) return window.location.pathname + filtersToSearch();
+  if (!FILTERS.location) return '/' + filtersToSearch();
+  return `/location/${FILTERS.location}/` + filtersToSearch(['location']);
+}
+
+// "February 3 – March 15, 2026"
+function formatDateRange(from, to) {
+  const full = { month: 'long', day: 'numeric', year: 'numeric' };
+  if (from === to) return formatCalendarDate(to, full);
+  const sameYear = from.slice(0, 4) === to.slice(0, 4);
+  return `${formatCalendarDate(from, sameYear ? { month: 'long', day: 'numeric' } : full)} – ${formatCalendarDate(to, full)}`;
+}
+
+// Shown while the location filter is set: the place, its totals,
+// and a link per day shot there (all of them, whatever the other
+// filters say).
+function renderLocationPanel() {
+  const panel = document.getElementById('location-panel');
+  const loc   = LOCATIONS.find(l => l.id === FILTERS.location);
+  panel.style.display = loc ? '' : 'none';
+  if (!loc) return;
+
+  document.getElementById('lp-name').textContent    = loc.name;
+  document.getElementById('lp-summary').textContent =
+    `${loc.images} photos & videos · ${loc.days.length} day${loc.days.length === 1 ? '' : 's'} · ${formatDateRange(loc.from, loc.to)}`;
+
+  const list = document.getElementById('lp-days');
+  list.innerHTML = '';
+  loc.days.forEach(({ date, images }) => {
+    const link = Object.assign(document.createElement('a'), { className: 'lp-day', href: `/day/${date}/` });
+    link.innerHTML = `${formatCalendarDate(date, { weekday: 'short', month: 'short', day: 'numeric' })}` +
+      `<span class="lp-count">${images}</span>`;
+    link.addEventListener('click', e => {
+      e.preventDefault();
+      scrollToDay(date);
+    });
+    list.appendChild(link);
+  });
+}
+
+
+// ── COLLECTIONS ─────────────────────────────────────────────
+// /collection/gulf-coast-sunsets/ shows a curated collection (see
+// lib/collections.js) in place of the archive: its own grid in the
+// collection's order, and a lightbox that steps through just those
+// frames. A frame opened from it carries ?collection=<id>, so a
+// shared link comes back to the same sequence.
+
+let COLLECTIONS = [];     // manifest entries: { id, title, description, cover, images, from, to, src }
+let COLLECTION  = null;   // the open collection: its entry, with images[] processed
+
+function collectionUrl(col) {
+  return `/collection/${col.id}/`;
+}
+
+function parseCollectionRoute(pathname, search) {
+  const m = pathname.match(/^\/collection\/([\w-]+)\/?$/);
+  return m ? m[1] : new URLSearchParams(search).get('collection');
+}
+
+// Still for a cover card: the thumbnail derivative, or a video's poster
+function coverSrc(img) {
+  return img.type === 'video' ? img.thumb || img.poster || '' : derivativeSrc(img, 'thumb');
+}
+
+// A card per collection, above the archive
+function initCollections(content) {
+  COLLECTIONS = content.collections || [];
+  const nav   = document.getElementById('collection-links');
+  COLLECTIONS.forEach(col => {
+    const card = Object.assign(document.createElement('a'), { className: 'cl-card', href: collectionUrl(col) });
+    card.innerHTML = `<img alt="" loading="lazy"><span class="cl-title"></span><span class="cl-count">${col.images}</span>`;
+    card.querySelector('img').src = coverSrc(col.cover);
+    card.querySelector('.cl-title').textContent = col.title;
+    card.addEventListener('click', e => {
+      e.preventDefault();
+      navigateTo(collectionUrl(col));
+    });
+    nav.appendChild(card);
+  });
+  nav.style.display = COLLECTIONS.length ? '' : 'none';
+}
+
+// Loads collection `id` into COLLECTION (null / unknown → the
+// archive) and shows it
+async function loadCollection(id) {
+  const entry = COLLECTIONS.find(col => col.id === id);
+  COLLECTION  = null;
+  if (entry) {
+    try {
+      const res = await fetch(entry.src);
+      if (!res.ok) throw new Error(`${entry.src} ${res.status}`);
+      const images = await res.json();
+      COLLECTION = {
+        ...entry,
+        images: processDays(images.map(img => ({ date: img.date, images: [img] }))).map(day => day.images[0]),
+      };
+    } catch (e) {
+      console.warn('Could not load the collection', e);
+    }
+  }
+  renderCollection();
+}
+
+// Follows the URL into or out of a collection. Returns true if that
+// changed the view (FLAT then needs rebuilding: applyFilters()).
+async function readCollectionRoute() {
+  const id = parseCollectionRoute(window.location.pathname, window.location.search) || null;
+  if (id === (COLLECTION ? COLLECTION.id : null)) return false;
+  await loadCollection(id);
+  return true;
+}
+
+// In-page link to a collection or back to the archive
+async function navigateTo(url) {
+  history.pushState(null, '', url);
+  await followUrl();
+  window.scrollTo(0, 0);
+}
+
+// "← The archive" from a collection, the stats or the colour view
+function backToArchive(e) {
+  e.preventDefault();
+  navigateTo('/');
+}
+
+function renderCollection() {
+  document.body.classList.toggle('in-collection', !!COLLECTION);
+  const grid = document.getElementById('cv-grid');
+  grid.querySelectorAll('video').forEach(v => {
+    videoObserver.unobserve(v);
+    v.pause();
+  });
+  grid.innerHTML = '';
+  if (!COLLECTION) {
+    startHeroTimer();
+    return;
+  }
+  stopHeroTimer();
+
+  document.getElementById('cv-title').textContent       = COLLECTION.title;
+  document.getElementById('cv-description').textContent = COLLECTION.description;
+  document.getElementById('cv-summary').textContent     =
+    `${COLLECTION.images.length} photos & videos · ${formatDateRange(COLLECTION.from, COLLECTION.to)}`;
+  COLLECTION.images.forEach(img => grid.appendChild(makeThumb(img)));
+}
+
+
+// ── STATS ───────────────────────────────────────────────────
+// /stats/ — streaks, counts and light by month from the build's
+// stats.json (see lib/stats.js), drawn as small inline SVG charts.
+// Linked from the footer count; shown in place of the archive like
+// a collection.
+
+let STATS_SRC = null;    // manifest URL of stats.json
+let STATS     = null;    // loaded on first visit
+let statsOpen = false;
+
+const CHART_W = 640;     // SVG user units; charts scale to their box
+
+function escapeXml(str) {
+  return String(str).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+// Vertical bars, one per row; `series` stack bottom-up:
+// [{ key, className, label }]
+function svgBars(rows, series, label) {
+  const h     = 160;
+  const top   = 12;
+  const base  = h - 22;
+  const max   = Math.max(1, ...rows.map(r => series.reduce((n, s) => n + r[s.key], 0)));
+  const slot  = CHART_W / Math.max(rows.length, 1);
+  const bar   = Math.min(48, slot * 0.7);
+  const every = Math.ceil(rows.length / 12);   // label at most 12 columns
+  const parts = rows.map((row, i) => {
+    const x     = i * slot + (slot - bar) / 2;
+    let   y     = base;
+    const rects = series.map(s => {
+      const bh = (row[s.key] / max) * (base - top);
+      y -= bh;
+      return `<rect class="${s.className}" x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${bar.toFixed(1)}" height="${bh.toFixed(1)}">` +
+        `<title>${escapeXml(`${label(row)}: ${series.map(t => `${row[t.key]} ${t.label}`).join(', ')}`)}</title></rect>`;
+    }).join('');
+    const text = i % every ? '' :
+      `<text class="chart-label" x="${(x + bar / 2).toFixed(1)}" y="${h - 6}" text-anchor="middle">${escapeXml(label(row))}</text>`;
+    return rects + text;
+  });
+  return `<svg class="chart" viewBox="0 0 ${CHART_W} ${h}" role="img">` +
+    `<line class="chart-axis" x1="0" x2="${CHART_W}" y1="${base}" y2="${base}"/>${parts.join('')}</svg>`;
+}
+
+// Horizontal bars with a name and count, most first
+function svgRows(rows, href) {
+  const rowH  = 22;
+  const nameW = 170;
+  const max   = Math.max(1, ...rows.map(r => r.value));
+  const body  = rows.map((row, i) => {
+    const y = i * rowH;
+    const w = (row.value / max) * (CHART_W - nameW - 48);
+    return `<a href="${escapeXml(href(row))}">` +
+      `<text class="chart-label" x="${nameW - 8}" y="${y + 15}" text-anchor="end">${escapeXml(row.name)}</text>` +
+      `<rect class="chart-bar" x="${nameW}" y="${y + 4}" width="${Math.max(w, 1).toFixed(1)}" height="${rowH - 8}"/>` +
+      `<text class="chart-value" x="${(nameW + w + 6).toFixed(1)}" y="${y + 15}">${row.value}</text></a>`;
+  }).join('');
+  return `<svg class="chart" viewBox="0 0 ${CHART_W} ${rows.length * rowH}" role="img">${body}</svg>`;
+}
+
+// One bar split between `parts`: [{ value, className, label }]
+function svgSplit(parts) {
+  const h     = 28;
+  const total = Math.max(1, parts.reduce((n, p) => n + p.value, 0));
+  let   x     = 0;
+  const rects = parts.map(p => {
+    const w    = (p.value / total) * CHART_W;
+    const pct  = Math.round((p.value / total) * 100);
+    const rect = `<rect class="${p.className}" x="${x.toFixed(1)}" y="0" width="${w.toFixed(1)}" height="${h}">` +
+      `<title>${escapeXml(`${p.value} ${p.label}`)}</title></rect>` +
+      (w > 90 ? `<text class="chart-inset" x="${(x + 10).toFixed(1)}" y="${h / 2 + 4}">${escapeXml(`${p.label} ${pct}%`)}</text>` : '');
+    x += w;
+    return rect;
+  });
+  return `<svg class="chart" viewBox="0 0 ${CHART_W} ${h}" role="img">${rects.join('')}</svg>`;
+}
+
+function chartBlock(title, svg) {
+  return `<figure class="sv-chart"><figcaption>${escapeXml(title)}</figcaption>${svg}</figure>`;
+}
+
+// A build-time streak ends once a day passes without a shot
+function isStreakLive(streak) {
+  if (!streak.days) return false;
+  const [y, m, d] = streak.to.split('-').map(Number);
+  const nextDay   = new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10);
+  return todayLocal() <= nextDay;
+}
+
+function frameLink(ref) {
+  return ref ? `<a href="/day/${ref.date}/${ref.slug}/">${escapeXml(ref.time)}</a> · ` +
+    `${escapeXml(formatCalendarDate(ref.date, { month: 'short', day: 'numeric', year: 'numeric' }))} · ${escapeXml(ref.location)}` : '—';
+}
+
+function renderStats() {
+  document.body.classList.toggle('in-stats', statsOpen);
+  const view = document.getElementById('stats-view');
+  if (!statsOpen) {
+    startHeroTimer();
+    return;
+  }
+  stopHeroTimer();
+  if (!STATS) {
+    document.getElementById('sv-summary').textContent = 'No stats yet — run the build.';
+    return;
+  }
+
+  const { totals, streaks, light, months, locations } = STATS;
+  const current = isStreakLive(streaks.current) ? streaks.current.days : 0;
+  const plural  = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  document.getElementById('sv-summary').textContent = totals.from
+    ? `${totals.images} photos & videos · ${formatDateRange(totals.from, totals.to)}`
+    : '';
+
+  const longest = streaks.longest;
+  const figures = [
+    [plural(current, 'day'),      'Current streak'],
+    [plural(longest.days, 'day'), longest.days ? `Longest streak · ${formatDateRange(longest.from, longest.to)}` : 'Longest streak'],
+    [totals.days,                 'Days shot'],
+    [totals.photos,               'Photos'],
+    [totals.videos,               'Videos'],
+    [totals.locations,            'Locations'],
+  ];
+  document.getElementById('sv-figures').innerHTML = figures.map(([value, label]) =>
+    `<div class="sv-figure"><span class="sv-value">${escapeXml(value)}</span><span class="sv-label">${escapeXml(label)}</span></div>`
+  ).join('');
+
+  const monthLabel = row => formatCalendarDate(row.month, { month: 'short', year: '2-digit' });
+  view.querySelector('.sv-charts').innerHTML = [
+    chartBlock('Days shot per month', svgBars(months, [{ key: 'days', className: 'chart-bar', label: 'days' }], monthLabel)),
+    chartBlock('Light by month', svgBars(months, [
+      { key: 'sunrise', className: 'chart-sunrise', label: 'sunrise' },
+      { key: 'sunset',  className: 'chart-sunset',  label: 'sunset' },
+    ], monthLabel)),
+    chartBlock('Sunrise vs sunset', svgSplit([
+      { value: light.sunrise, className: 'chart-sunrise', label: 'Sunrise' },
+      { value: light.sunset,  className: 'chart-sunset',  label: 'Sunset' },
+    ])),
+    chartBlock('Photos vs videos', svgSplit([
+      { value: totals.photos, className: 'chart-bar',   label: 'Photos' },
+      { value: totals.videos, className: 'chart-video', label: 'Videos' },
+    ])),
+    chartBlock('Images per location', svgRows(
+      locations.map(loc => ({ id: loc.id, name: loc.name, value: loc.images })),
+      row => `/location/${row.id}/`)),
+    `<dl class="sv-times"><dt>Earliest shot</dt><dd>${frameLink(STATS.earliest)}</dd>` +
+      `<dt>Latest shot</dt><dd>${frameLink(STATS.latest)}</dd></dl>`,
+  ].join('');
+
+  // Links inside the view stay in the page
+  view.querySelectorAll('.sv-charts a').forEach(a => a.addEventListener('click', e => {
+    e.preventDefault();
+    navigateTo(a.getAttribute('href'));
+  }));
+}
+
+// Follows the URL into or out of /stats/. Returns true if that
+// changed the view.
+async function readStatsRoute() {
+  const open = /^\/stats\/?$/.test(window.location.pathname);
+  if (open === statsOpen) return false;
+  statsOpen = open;
+  if (open && !STATS && STATS_SRC) {
+    try {
+      const res = await fetch(STATS_SRC);
+      if (!res.ok) throw new Error(`${STATS_SRC} ${res.status}`);
+      STATS = await res.json();
+    } catch (e) {
+      console.warn('Could not load the stats', e);
+    }
+  }
+  renderStats();
+  return true;
+}
+
+function openStats(e) {
+  e.preventDefault();
+  navigateTo('/stats/');
+}
+
+
+// ── COLOUR ──────────────────────────────────────────────────
+// build.js samples every frame's colours (see lib/colours.js):
+// img.colour = { dominant, palette, brightness, family, hue }. The
+// dominant colour sits behind a thumbnail while it loads, each
+// side of a day tints its pill with the hue its frames share,
+// ?colour=pink filters the archive, and /colour/ lays out every
+// frame by hue — in place of the archive, like the stats, with the
+// lightbox stepping through that order.
+
+const COLOUR_ORDER = ['red', 'orange', 'gold', 'green', 'blue', 'purple', 'pink', 'grey'];
+
+let COLOURS    = [];      // manifest: [{ family, images, swatch }]
+let colourOpen = false;
+
+function meanHue(hues) {
+  const x = hues.reduce((n, h) => n + Math.cos(h * Math.PI / 180), 0);
+  const y = hues.reduce((n, h) => n + Math.sin(h * Math.PI / 180), 0);
+  return Math.round((Math.atan2(y, x) * 180 / Math.PI + 360) % 360);
+}
+
+// Colour for a day's sunrise or sunset pill: the mean hue of the
+// family most of `images` fall in, greys aside; '' (the stylesheet's
+// colour) when none has a hue
+function sideTint(images) {
+  const byFamily = {};
+  images.forEach(img => {
+    if (!img.colour || img.colour.hue === null) return;
+    (byFamily[img.colour.family] = byFamily[img.colour.family] || []).push(img.colour.hue);
+  });
+  const hues = Object.values(byFamily).sort((a, b) => b.length - a.length)[0];
+  return hues ? `hsl(${meanHue(hues)}, 55%, 45%)` : '';
+}
+
+// Every loaded frame with a colour, family by family around the
+// wheel, then by hue (red starts at 345°, so shift it to the front),
+// then light to dark
+function spectrum() {
+  const rank = img => COLOUR_ORDER.indexOf(img.colour.family);
+  const hue  = img => img.colour.hue === null ? 0 : (img.colour.hue + 15) % 360;
+  return ALL_DAYS.flatMap(day => day.images)
+    .filter(img => img.colour)
+    .sort((a, b) => rank(a) - rank(b) || hue(a) - hue(b) || b.colour.brightness - a.colour.brightness);
+}
+
+function renderColours() {
+  document.body.classList.toggle('in-colour', colourOpen);
+  const sections = document.getElementById('kv-sections');
+  sections.querySelectorAll('video').forEach(v => {
+    videoObserver.unobserve(v);
+    v.pause();
+  });
+  sections.innerHTML = '';
+  if (!colourOpen) {
+    startHeroTimer();
+    return;
+  }
+  stopHeroTimer();
+
+  const frames = spectrum();
+  document.getElementById('kv-summary').textContent = frames.length
+    ? `${frames.length} photos & videos · pick a colour to see it in the archive`
+    : 'No colours yet — run the build with ImageMagick installed.';
+
+  const families = document.getElementById('kv-families');
+  families.innerHTML = '';
+  COLOURS.forEach(c => {
+    const link = Object.assign(document.createElement('a'), { className: 'kv-family', href: `/?colour=${c.family}` });
+    link.innerHTML = `<span class="kv-swatch"></span>${c.family}<span class="lp-count">${c.images}</span>`;
+    link.querySelector('.kv-swatch').style.background = c.swatch;
+    link.addEventListener('click', e => {
+      e.preventDefault();
+      navigateTo(link.getAttribute('href'));
+    });
+    families.appendChild(link);
+  });
+
+  // A heading and a grid per family, in spectrum order
+  let grid = null;
+  frames.forEach((img, i) => {
+    if (!i || img.colour.family !== frames[i - 1].colour.family) {
+      grid = Object.assign(document.createElement('div'), { className: 'cv-grid' });
+      sections.appendChild(Object.assign(document.createElement('h3'), { className: 'kv-heading', textContent: img.colour.family }));
+      sections.appendChild(grid);
+    }
+    grid.appendChild(makeThumb(img));
+  });
+}
+
+// Follows the URL into or out of /colour/. Returns true if that
+// changed the view (FLAT then needs rebuilding: applyFilters()).
+// The view spans the whole archive, so opening it loads every chunk.
+async function readColourRoute() {
+  const open = /^\/colour\/?$/.test(window.location.pathname);
+  if (open === colourOpen) return false;
+  colourOpen = open;
+  if (open) await loadAllChunks();
+  renderColours();
+  return true;
+}
+
+function openColours(e) {
+  e.preventDefault();
+  navigateTo('/colour/');
+}
+
+
+// ── PRINTS ──────────────────────────────────────────────────
+// "Order Print" opens a form in the lightbox, built from the
+// `prints` block of /content/settings.json (sizes, papers, prices).
+// Orders POST to the order function (netlify/functions/order.js, or
+// its stand-in under `node build.js --serve`), which checks them
+// again against the archive. When ordering isn't set up or can't be
+// reached, the order goes out as a prefilled email instead.
+
+const ORDER_ENDPOINT = '/.netlify/functions/order';
+const ORDER_EMAIL    = 'info@boardshort-photography.com';
+
+let PRINTS        = null;   // settings.prints, once loaded
+let printsLoading = null;   // in-flight loadPrints() promise
+
+function loadPrints() {
+  if (!printsLoading) {
+    printsLoading = fetch('/content/settings.json')
+      .then(res => res.ok ? res.json() : {})
+      .then(settings => { PRINTS = settings.prints || null; })
+      .catch(() => { PRINTS = null; });
+  }
+  return printsLoading;
+}
+
+// Same rule as lib/orders.js: enough pixels per inch along both
+// edges, printed the way the frame was shot
+function printSizeFits(item, size) {
+  if (!item.width || !item.height) return true;
+  const [long, short] = [...size.inches].sort((a, b) => b - a);
+  const minPpi        = PRINTS.min_ppi || 0;
+  return Math.max(item.width, item.height) / long  >= minPpi &&
+         Math.min(item.width, item.height) / short >= minPpi;
+}
+
+function formatPrice(amount) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency', currency: PRINTS.currency || 'USD', minimumFractionDigits: 0,
+  }).format(amount);
+}
+
+// mailto: for the frame, with the form's choices when there are any
+function printMailto(item, order = null) {
+  const src     = item.watermarked ? derivativeSrc(item, 'full') : item.src;   // originals aren't deployed
+  const imgUrl  = src.startsWith('http') ? src : `${window.location.origin}${src}`;
+  const subject = encodeURIComponent(`Print Order Request — ${item.date} ${item.original || item.time}`);
+  const details = [
+    `Date: ${item.date}`,
+    item.original ? `File: ${item.original}` : null,
+    `Image: ${imgUrl}`,
+  ];
+  if (order) {
+    const size  = PRINTS.sizes.find(s => s.id === order.size);
+    const paper = PRINTS.papers.find(p => p.id === order.paper);
+    details.push(
+      '',
+      `Size: ${size ? size.label : order.size}`,
+      `Paper: ${paper ? paper.label : order.paper}`,
+      `Quantity: ${order.quantity}`,
+      `Name: ${order.name}`,
+      order.notes ? `Notes: ${order.notes}` : null,
+    );
+  }
+  const intro = order
+    ? "Hi! I'd like to order a print of this image."
+    : "Hi! I'm interested in ordering a digital print of this image. Please get back to me with an estimate.";
+  const body  = `${intro}\n\n\n${details.filter(line => line !== null).join('\n')}`;
+  return `mailto:${(PRINTS && PRINTS.email) || ORDER_EMAIL}?subject=${subject}&body=${encodeURIComponent(body)}`;
+}
+
+function fillSelect(select, options) {
+  select.innerHTML = '';
+  for (const opt of options) select.appendChild(new Option(opt.text, opt.value));
+}
+
+async function openPrintForm(e) {
+  e.preventDefault();
+  const item = FLAT[currentFlatIndex];
+  if (!item || item.type === 'video') return;
+  await loadPrints();
+
+  const sizes = PRINTS ? PRINTS.sizes.filter(size => printSizeFits(item, size)) : [];
+  if (!sizes.length) {
+    window.location.href = printMailto(item);
+    return;
+  }
+  fillSelect(document.getElementById('pf-size'),
+    sizes.map(s => ({ value: s.id, text: `${s.label} — ${formatPrice(s.price)}` })));
+  fillSelect(document.getElementById('pf-paper'),
+    PRINTS.papers.map(p => ({ value: p.id, text: p.price ? `${p.label} (+${formatPrice(p.price)})` : p.label })));
+  document.getElementById('pf-qty').value       = 1;
+  document.getElementById('pf-submit').disabled = false;
+  showPrintStatus('');
+  updatePrintTotal();
+  document.getElementById('print-form').classList.add('open');
+}
+
+function closePrintForm() {
+  document.getElementById('print-form').classList.remove('open');
+}
+
+function isPrintFormOpen() {
+  return document.getElementById('print-form').classList.contains('open');
+}
+
+function readPrintForm(item) {
+  return {
+    date:     item.date,
+    slug:     item.slug,
+    size:     document.getElementById('pf-size').value,
+    paper:    document.getElementById('pf-paper').value,
+    quantity: Number(document.getElementById('pf-qty').value),
+    name:     document.getElementById('pf-name').value.trim(),
+    email:    document.getElementById('pf-email').value.trim(),
+    notes:    document.getElementById('pf-notes').value.trim(),
+  };
+}
+
+function updatePrintTotal() {
+  const order = readPrintForm(FLAT[currentFlatIndex] || {});
+  const size  = PRINTS.sizes.find(s => s.id === order.size);
+  const paper = PRINTS.papers.find(p => p.id === order.paper);
+  const qty   = Number.isInteger(order.quantity) && order.quantity > 0 ? order.quantity : 0;
+  document.getElementById('pf-total').textContent =
+    size && paper && qty ? `Total ${formatPrice((size.price + (paper.price || 0)) * qty)}` : '';
+}
+
+function showPrintStatus(text, errors = []) {
+  const status = document.getElementById('pf-status');
+  status.textContent = text;
+  if (!errors.length) return;
+  const list = document.createElement('ul');
+  for (const error of errors) list.appendChild(document.createElement('li')).textContent = error;
+  status.appendChild(list);
+}
+
+async function submitPrintOrder(e) {
+  e.preventDefault();
+  const item   = FLAT[currentFlatIndex];
+  const order  = readPrintForm(item);
+  const submit = document.getElementById('pf-submit');
+  submit.disabled = true;
+  showPrintStatus('Sending…');
+
+  let res  = null;
+  let body = {};
+  try {
+    res  = await fetch(ORDER_ENDPOINT, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify(order),
+    });
+    body = await res.json().catch(() => ({}));
+  } catch (err) {
+    res = null;
+  }
+
+  if (res && res.ok) {
+    showPrintStatus(`Thanks! Order ${body.id} is in (${formatPrice(body.total)}) — we'll email you to confirm.`);
+    return;
+  }
+  submit.disabled = false;
+  if (res && (res.status === 400 || res.status === 422)) {
+    showPrintStatus('Please check your order:', body.errors || []);
+    return;
+  }
+  // Not set up (503), not delivered (502) or offline → email it
+  showPrintStatus('Online ordering is unavailable — opening an email with your order instead.');
+  window.location.href = printMailto(item, order);
+}
+
+
 // ── ABOUT OVERLAY ────────────────────────────────────────────
 
 function openAbout(e) {
@@ -728,22 +1915,460 @@ function initLightboxWrap() {
 initLightboxWrap();
 
 
+// ── LIGHTBOX GESTURES ───────────────────────────────────────
+// Touch: swipe left / right steps, swipe down closes, pinch or
+// double-tap zooms and one finger pans while zoomed. Mouse: click
+// or the wheel zooms, drag pans. Zooming in swaps the original
+// upload in for the screen-sized `full` derivative, when it is
+// larger. All pointer events on #lb-media-wrap, so the keyboard
+// handler and backdrop click above work as before.
+
+const ZOOM_MAX   = 4;
+const ZOOM_STEP  = 2.5;   // double-tap / click zoom
+const SWIPE_MIN  = 50;    // px before a drag counts as a swipe
+const TAP_SLOP   = 10;    // px a tap may wander
+const DOUBLE_TAP = 300;   // ms between the taps of a double-tap
+
+const zoom     = { scale: 1, x: 0, y: 0 };   // lb-img transform
+const pointers = new Map();                  // pointerId → { x, y }
+let gesture    = null;   // { type, startX, startY, moved, pinch: { dist, scale } | null }
+let lastTap    = null;   // { time, x, y } of the last touch tap
+
+function isZoomable() {
+  const item = FLAT[currentFlatIndex];
+  return !!item && item.type !== 'video';
+}
+
+function applyZoom(animate) {
+  const img = document.getElementById('lb-img');
+  img.style.transition = animate ? 'transform 0.2s ease' : '';
+  img.style.transform  = zoom.scale > 1 ? `translate(${zoom.x}px, ${zoom.y}px) scale(${zoom.scale})` : '';
+  document.getElementById('lightbox').classList.toggle('is-zoomed', zoom.scale > 1);
+}
+
+// No panning past the zoomed image's edges
+function clampPan() {
+  const img  = document.getElementById('lb-img');
+  const maxX = Math.max(0, (img.offsetWidth  * zoom.scale - window.innerWidth)  / 2);
+  const maxY = Math.max(0, (img.offsetHeight * zoom.scale - window.innerHeight) / 2);
+  zoom.x = Math.max(-maxX, Math.min(maxX, zoom.x));
+  zoom.y = Math.max(-maxY, Math.min(maxY, zoom.y));
+}
+
+// Zooms to `scale`, keeping the screen point (cx, cy) where it is
+function zoomTo(scale, cx, cy, animate = false) {
+  const next = Math.max(1, Math.min(ZOOM_MAX, scale));
+  const rect = document.getElementById('lb-media-wrap').getBoundingClientRect();
+  const px   = cx - (rect.left + rect.width / 2);
+  const py   = cy - (rect.top + rect.height / 2);
+  zoom.x     = next === 1 ? 0 : px - (px - zoom.x) * (next / zoom.scale);
+  zoom.y     = next === 1 ? 0 : py - (py - zoom.y) * (next / zoom.scale);
+  zoom.scale = next;
+  clampPan();
+  applyZoom(animate);
+  if (next > 1) loadZoomSource();
+}
+
+function toggleZoom(cx, cy) {
+  zoomTo(zoom.scale > 1 ? 1 : ZOOM_STEP, cx, cy, true);
+}
+
+// Called for each new frame and on close
+function resetZoom() {
+  delete document.getElementById('lb-img').dataset.zoomSrc;
+  zoom.scale = 1;
+  zoom.x     = 0;
+  zoom.y     = 0;
+  applyZoom(false);
+  pointers.clear();
+  gesture = null;
+}
+
+// The original upload, once, if it has more pixels than `full`.
+// Watermarked frames' originals aren't deployed, so those stop at
+// `full`.
+function loadZoomSource() {
+  const item  = FLAT[currentFlatIndex];
+  const lbImg = document.getElementById('lb-img');
+  const full  = item && item.derivatives && item.derivatives.full;
+  if (!full || item.watermarked || !(item.width > full.width) || lbImg.dataset.zoomSrc === item.src) return;
+
+  lbImg.dataset.zoomSrc = item.src;
+  const loader = new Image();
+  loader.onload = () => {
+    if (lbImg.dataset.zoomSrc !== item.src) return;
+    lbImg.dataset.pending = '';   // drops a full derivative still on its way
+    lbImg.removeAttribute('srcset');
+    lbImg.src = item.src;
+    lbImg.classList.remove('is-placeholder');
+  };
+  loader.src = item.src;
+}
+
+function pointerSpan() {
+  const [a, b] = [...pointers.values()];
+  return { dist: Math.hypot(a.x - b.x, a.y - b.y), x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+function onPointerDown(e) {
+  if (e.pointerType === 'mouse' && e.button !== 0) return;
+  if (e.target.closest('video') && e.pointerType === 'mouse') return;   // leave the video controls alone
+  e.currentTarget.setPointerCapture(e.pointerId);
+  pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+  if (pointers.size === 1) {
+    gesture = { type: e.pointerType, startX: e.clientX, startY: e.clientY, moved: false, pinch: null };
+  } else if (pointers.size === 2 && gesture && isZoomable()) {
+    gesture.moved = true;
+    gesture.pinch = { dist: pointerSpan().dist || 1, scale: zoom.scale };
+  }
+}
+
+function onPointerMove(e) {
+  const prev = pointers.get(e.pointerId);
+  if (!prev || !gesture) return;
+  pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+  if (gesture.pinch && pointers.size === 2) {
+    const span = pointerSpan();
+    zoomTo(gesture.pinch.scale * span.dist / gesture.pinch.dist, span.x, span.y);
+    return;
+  }
+  const dx = e.clientX - gesture.startX;
+  const dy = e.clientY - gesture.startY;
+  if (Math.hypot(dx, dy) > TAP_SLOP) gesture.moved = true;
+  if (!gesture.moved) return;
+
+  if (zoom.scale > 1) {
+    zoom.x += e.clientX - prev.x;
+    zoom.y += e.clientY - prev.y;
+    clampPan();
+    applyZoom(false);
+  } else if (gesture.type !== 'mouse') {
+    // The frame follows the finger: sideways to step, down to close
+    const wrap = e.currentTarget;
+    wrap.style.transform = Math.abs(dx) > Math.abs(dy) ? `translateX(${dx}px)` : `translateY(${Math.max(0, dy)}px)`;
+    wrap.style.opacity   = Math.abs(dx) > Math.abs(dy) ? '' : String(Math.max(0.3, 1 - Math.max(0, dy) / 400));
+  }
+}
+
+function onPointerUp(e) {
+  if (!pointers.delete(e.pointerId) || !gesture) return;
+  if (pointers.size) {
+    // One finger of a pinch lifted: the other carries on panning
+    const [rest] = pointers.values();
+    gesture = { ...gesture, startX: rest.x, startY: rest.y, pinch: null };
+    return;
+  }
+  const g  = gesture;
+  const dx = e.clientX - g.startX;
+  const dy = e.clientY - g.startY;
+  gesture  = null;
+  e.currentTarget.style.transform = '';
+  e.currentTarget.style.opacity   = '';
+  if (e.type === 'pointercancel') return;
+
+  if (g.pinch) {
+    if (zoom.scale < 1.1) zoomTo(1, e.clientX, e.clientY, true);   // pinched back to about fit
+  } else if (!g.moved) {
+    onTap(e, g.type);
+  } else if (zoom.scale === 1 && g.type !== 'mouse') {
+    if (Math.abs(dx) > SWIPE_MIN && Math.abs(dx) > Math.abs(dy))  stepLightbox(dx < 0 ? 1 : -1);
+    else if (dy > SWIPE_MIN * 2 && dy > Math.abs(dx))             closeLightbox();
+  }
+}
+
+// Mouse: a click toggles zoom. Touch: a double-tap does.
+function onTap(e, type) {
+  if (!isZoomable()) return;
+  if (type === 'mouse') {
+    toggleZoom(e.clientX, e.clientY);
+    return;
+  }
+  const now = Date.now();
+  if (lastTap && now - lastTap.time < DOUBLE_TAP && Math.hypot(e.clientX - lastTap.x, e.clientY - lastTap.y) < TAP_SLOP * 3) {
+    lastTap = null;
+    toggleZoom(e.clientX, e.clientY);
+  } else {
+    lastTap = { time: now, x: e.clientX, y: e.clientY };
+  }
+}
+
+function onWheel(e) {
+  if (!isZoomable()) return;
+  e.preventDefault();
+  zoomTo(zoom.scale * Math.exp(-e.deltaY * 0.002), e.clientX, e.clientY);
+}
+
+function initLightboxGestures() {
+  const wrap = document.getElementById('lb-media-wrap');
+  wrap.addEventListener('pointerdown',   onPointerDown);
+  wrap.addEventListener('pointermove',   onPointerMove);
+  wrap.addEventListener('pointerup',     onPointerUp);
+  wrap.addEventListener('pointercancel', onPointerUp);
+  wrap.addEventListener('wheel',         onWheel, { passive: false });
+  document.getElementById('lb-img').draggable = false;
+}
+
+initLightboxGestures();
+
+
+// ── SLIDESHOW ───────────────────────────────────────────────
+// Full-screen playback that advances on its own, from:
+//   the lightbox's Slideshow button  → FLAT, from the open frame
+//   a day strip's Replay button      → that day, in time order
+//   a week header's Play week button → the week, oldest day first,
+//                                      looping (leave it on a TV)
+// Photos hold for the chosen speed; videos play through, then
+// advance. Two layers crossfade like the hero. Space pauses, ← / →
+// step, F toggles fullscreen, Esc closes.
+
+const SLIDE_SPEEDS = [3000, 5000, 8000, 12000];   // ms a photo holds
+const SLIDE_FADE   = 1200;   // ms crossfade — matches .ss-layer in CSS
+const SLIDE_IDLE   = 3000;   // ms without the mouse before controls hide
+
+let slides       = [];
+let slideIndex   = 0;
+let slideSpeed   = 1;        // index into SLIDE_SPEEDS
+let slideLayer   = 'a';
+let slidePlaying = false;
+let slideLoop    = false;
+let slideTimer   = null;
+let slideIdle    = null;
+let wakeLock     = null;     // keeps a TV / tablet screen on while playing
+
+function isSlideshowOpen() {
+  return document.getElementById('slideshow').classList.contains('open');
+}
+
+// items: processed images, in play order
+function startSlideshow(items, start = 0, { loop = false } = {}) {
+  if (!items.length) return;
+  slides       = items;
+  slideLoop    = loop;
+  slidePlaying = true;
+  document.getElementById('slideshow').classList.add('open');
+  document.body.style.overflow = 'hidden';
+  syncSlideControls();
+  showSlide(Math.max(0, Math.min(start, items.length - 1)));
+  nudgeSlideControls();
+  if (navigator.wakeLock) {
+    navigator.wakeLock.request('screen').then(lock => { wakeLock = lock; }).catch(() => {});
+  }
+}
+
+function closeSlideshow() {
+  if (!isSlideshowOpen()) return;
+  clearTimeout(slideTimer);
+  clearTimeout(slideIdle);
+  slidePlaying = false;
+  if (fullscreenElement() === document.getElementById('slideshow')) exitFullscreen();
+  ['a', 'b'].forEach(id => {
+    const layer = document.getElementById(`ss-layer-${id}`);
+    layer.querySelectorAll('video').forEach(v => v.pause());
+    layer.innerHTML = '';
+    layer.classList.remove('active');
+  });
+  document.getElementById('slideshow').classList.remove('open');
+  if (wakeLock) wakeLock.release().catch(() => {});
+  wakeLock = null;
+
+  // Back in the lightbox, on the frame the slideshow stopped at
+  const lightboxOpen = document.getElementById('lightbox').classList.contains('open');
+  const idx          = lightboxOpen ? flatIndexOf(slides[slideIndex]) : -1;
+  if (idx !== -1) {
+    currentFlatIndex = idx;
+    renderLightboxFrame();
+    history.replaceState(history.state, '', permalink(FLAT[idx]) + filtersToSearch());
+  }
+  if (!lightboxOpen) document.body.style.overflow = '';
+}
+
+// Same build as the hero's layers, but videos play once, with sound
+// off, and report when they end
+function setSlideLayer(layer, img) {
+  layer.innerHTML = '';
+  layer.style.backgroundImage = '';
+  layer.classList.remove('has-placeholder');
+  let el;
+  if (img.type === 'video') {
+    el = Object.assign(document.createElement('video'), { muted: true, playsInline: true, preload: 'auto' });
+    if (img.poster) el.poster = img.poster;
+    el.src = img.src;
+  } else {
+    el = Object.assign(document.createElement('img'), { alt: img.caption || '' });
+    setResponsiveSrc(el, img, '100vw', 'full');
+    showPlaceholder(layer, el, img);
+  }
+  layer.appendChild(el);
+  return el;
+}
+
+function showSlide(index) {
+  const item     = slides[index];
+  const incoming = document.getElementById(`ss-layer-${slideLayer === 'a' ? 'b' : 'a'}`);
+  const outgoing = document.getElementById(`ss-layer-${slideLayer}`);
+  slideIndex = index;
+  slideLayer = slideLayer === 'a' ? 'b' : 'a';
+
+  setSlideLayer(incoming, item);
+  incoming.classList.add('active');
+  outgoing.classList.remove('active');
+  outgoing.querySelectorAll('video').forEach(v => v.pause());
+  setTimeout(() => {
+    if (!outgoing.classList.contains('active')) outgoing.innerHTML = '';
+  }, SLIDE_FADE);
+
+  const light = item.light ? formatLight(item.light) : item.tag;
+  document.getElementById('ss-time').textContent    = item.timeLabel || item.time;
+  document.getElementById('ss-light').textContent   = light ? light.charAt(0).toUpperCase() + light.slice(1) : '';
+  document.getElementById('ss-place').textContent   = [formatDateLabel(item.date), item.location].filter(Boolean).join(' · ');
+  document.getElementById('ss-caption').textContent = item.caption || '';
+  document.getElementById('ss-counter').textContent = `${index + 1} / ${slides.length}`;
+  scheduleSlide();
+}
+
+// Photos advance after the speed; videos when they finish (or,
+// if one can't play, after the speed too)
+function scheduleSlide() {
+  clearTimeout(slideTimer);
+  const video = document.querySelector(`#ss-layer-${slideLayer} video`);
+  if (video) {
+    video.onended = () => { if (slidePlaying) advanceSlide(); };
+    video.onerror = () => { if (slidePlaying) slideTimer = setTimeout(advanceSlide, SLIDE_SPEEDS[slideSpeed]); };
+    if (slidePlaying) video.play().catch(() => {});
+    else video.pause();
+    return;
+  }
+  if (slidePlaying) slideTimer = setTimeout(advanceSlide, SLIDE_SPEEDS[slideSpeed]);
+}
+
+function advanceSlide() {
+  if (slideIndex + 1 < slides.length) showSlide(slideIndex + 1);
+  else if (slideLoop) showSlide(0);
+  else toggleSlideshow();   // stop on the last frame
+}
+
+function stepSlideshow(dir) {
+  const next = slideIndex + dir;
+  if (next >= 0 && next < slides.length) showSlide(next);
+  else if (slideLoop) showSlide((next + slides.length) % slides.length);
+}
+
+function toggleSlideshow() {
+  slidePlaying = !slidePlaying;
+  syncSlideControls();
+  scheduleSlide();
+}
+
+function cycleSlideshowSpeed() {
+  slideSpeed = (slideSpeed + 1) % SLIDE_SPEEDS.length;
+  syncSlideControls();
+  if (!document.querySelector(`#ss-layer-${slideLayer} video`)) scheduleSlide();
+}
+
+function toggleSlideshowLoop() {
+  slideLoop = !slideLoop;
+  syncSlideControls();
+}
+
+function syncSlideControls() {
+  document.getElementById('ss-play').textContent  = slidePlaying ? 'Pause' : 'Play';
+  document.getElementById('ss-speed').textContent = `${SLIDE_SPEEDS[slideSpeed] / 1000}s`;
+  document.getElementById('ss-loop').classList.toggle('is-on', slideLoop);
+}
+
+// Fullscreen API, with Safari's prefix
+function fullscreenElement() {
+  return document.fullscreenElement || document.webkitFullscreenElement || null;
+}
+
+function exitFullscreen() {
+  (document.exitFullscreen || document.webkitExitFullscreen).call(document);
+}
+
+function toggleFullscreen() {
+  const el = document.getElementById('slideshow');
+  if (fullscreenElement()) exitFullscreen();
+  else (el.requestFullscreen || el.webkitRequestFullscreen).call(el);
+}
+
+// Controls fade out while the mouse is still — nothing in the way on a TV
+function nudgeSlideControls() {
+  const el = document.getElementById('slideshow');
+  el.classList.remove('is-idle');
+  clearTimeout(slideIdle);
+  slideIdle = setTimeout(() => el.classList.add('is-idle'), SLIDE_IDLE);
+}
+
+// That day's images in time order, for Replay
+function dayInTimeOrder(day) {
+  return [...day.images].sort((a, b) => captureMs(a) - captureMs(b));
+}
+
+// A week's days oldest first, each in time order, for Play week
+function weekInTimeOrder(week) {
+  return [...week.days].reverse().flatMap(dayInTimeOrder);
+}
+
+document.addEventListener('keydown', e => {
+  if (!isSlideshowOpen()) return;
+  if (e.key === 'Escape')     closeSlideshow();
+  if (e.key === 'ArrowLeft')  stepSlideshow(-1);
+  if (e.key === 'ArrowRight') stepSlideshow(1);
+  if (e.key === 'f' || e.key === 'F') toggleFullscreen();
+  if (e.key === ' ') {
+    e.preventDefault();
+    toggleSlideshow();
+  }
+  nudgeSlideControls();
+});
+
+function initSlideshow() {
+  const el = document.getElementById('slideshow');
+  el.addEventListener('mousemove', nudgeSlideControls);
+  el.addEventListener('touchstart', nudgeSlideControls, { passive: true });
+  if (!document.fullscreenEnabled && !document.webkitFullscreenEnabled) {
+    document.getElementById('ss-fullscreen').style.display = 'none';
+  }
+}
+
+initSlideshow();
+
+
 // ── INIT ────────────────────────────────────────────────────
 
 (async () => {
-  const raw = await loadContent();
-  DAYS = await processDays(raw);
+  const content = await loadContent();
+  LOAD_ERROR = content.error || '';
+  CHUNKS     = content.chunks || [];
+  ALL_DAYS   = processDays(content.days || []);
 
   // Newest day first
-  DAYS.sort((a, b) => b.date.localeCompare(a.date));
+  ALL_DAYS.sort((a, b) => b.date.localeCompare(a.date));
 
-  // Flat index for lightbox navigation — chronological within each day
-  FLAT = [];
-  DAYS.forEach(day => day.images.forEach(img => FLAT.push(img)));
+  if (content.hero) {
+    heroCandidates = processDays(content.hero.map(img => ({ date: img.date, images: [img] })))
+      .map(day => ({ ...day.images[0], label: day.label }));
+  }
+
+  // The newest month fills the first screen; the rest follow on scroll
+  await loadChunk().catch(e => console.warn('Could not load the archive', e));
+  TOTAL_IMAGES = content.total || countImages(ALL_DAYS);
 
   document.getElementById('footer-year').textContent = new Date().getFullYear();
   initGrid();
+  initLocations(content);
+  initCollections(content);
+  COLOURS = content.colours || [];
+  initFilterBar();
+  readFilters(window.location.search);
+  readLocationRoute();
+  await readCollectionRoute();
+  STATS_SRC = content.stats || null;
+  await readStatsRoute();
+  await readColourRoute();
   renderHero();
-  renderTimeline();
-  requestAnimationFrame(updateGapZones);
+  await applyFilters(false);
+  applyRoute();
 })();
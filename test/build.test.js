@@ -0,0 +1,150 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — test/build.test.js
+// ============================================================
+//
+// A full `node build.js` over test/fixtures, copied to a temp folder
+// with index.html and built there with --root. PATH is emptied so
+// the run is the same with or without ImageMagick / ffmpeg (both
+// are skipped), and weather stays cache-only.
+//
+//   2026-03-14  St. Pete Beach (one sidecar by alias) — 07:40
+//               hero, two frames at 19:35, a video at 19:50
+//   2026-03-15  San Diego — 06:55 hero, 18:10 with tag "sunrise"
+//               set by hand
+//   2026-03-16  San Diego — 12:30, before that day's solar noon
+//
+// ============================================================
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const { execFileSync } = require('child_process');
+
+const REPO     = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+let root;
+let output;
+
+function build() {
+  return execFileSync(process.execPath, [path.join(REPO, 'build.js'), '--root', root, '--weather', 'none'], {
+    env:      { ...process.env, PATH: '' },
+    encoding: 'utf8',
+    stdio:    ['ignore', 'pipe', 'pipe'],
+  });
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.join(root, file), 'utf8'));
+}
+
+// '/content/index/2026-03.json?v=…' → its parsed contents
+function readSrc(src) {
+  return readJson(src.split('?')[0]);
+}
+
+function exists(file) {
+  return fs.existsSync(path.join(root, file));
+}
+
+test.before(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'boardshort-build-'));
+  fs.cpSync(FIXTURES, root, { recursive: true });
+  fs.copyFileSync(path.join(REPO, 'index.html'), path.join(root, 'index.html'));
+  output = build();
+});
+
+test.after(() => {
+  if (root) fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('builds every sidecar', () => {
+  assert.match(output, /Sidecars — 7 new, 0 changed, 0 unchanged/);
+  assert.match(output, /Built content\/index\.json — 3 days, 7 images in 1 monthly chunks/);
+});
+
+test('days are newest first, images in time order with slugs', () => {
+  const index = readJson('content/index.json');
+  const days  = readSrc(index.chunks[0].src);
+  assert.equal(index.total, 7);
+  assert.deepEqual(days.map(d => d.date), ['2026-03-16', '2026-03-15', '2026-03-14']);
+  assert.deepEqual(days[2].images.map(img => img.slug), ['0740', '1935', '1935-2', '1950']);
+  assert.deepEqual(days[2].images.map(img => img.original), ['IMG_0001', 'IMG_0002', 'IMG_0003', 'GX010001']);
+});
+
+test('images are normalised: tag, boolean hero, place and zone', () => {
+  const days   = readSrc(readJson('content/index.json').chunks[0].src);
+  const byName = new Map(days.flatMap(d => d.images).map(img => [img.original, img]));
+
+  assert.equal(byName.get('IMG_0001').tag, 'sunrise');
+  assert.equal(byName.get('IMG_0002').tag, 'sunset');
+  assert.equal(byName.get('IMG_0005').tag, 'sunrise', 'a tag set in the sidecar wins');
+  assert.equal(byName.get('IMG_0006').tag, 'sunrise', '12:30 is before solar noon in San Diego');
+
+  assert.deepEqual([...byName.values()].filter(img => img.hero).map(img => img.original).sort(), ['IMG_0001', 'IMG_0004']);
+  assert.ok([...byName.values()].every(img => typeof img.hero === 'boolean'));
+
+  const first = byName.get('IMG_0001');
+  assert.equal(first.location, 'St. Pete Beach, FL');
+  assert.equal(first.location_id, 'st-pete-beach');
+  assert.equal(first.timestamp, '2026-03-14T07:40:00-04:00');
+  assert.equal(first.sidecar, 'content/days/IMG_0001_2026-03-14_0740.json');
+  assert.equal(byName.get('IMG_0004').timestamp, '2026-03-15T06:55:00-07:00');
+});
+
+test('writes permalink, location, collection and stats pages', () => {
+  for (const page of [
+    'day/2026-03-14/index.html',
+    'day/2026-03-14/1935-2/index.html',
+    'day/2026-03-16/1230/index.html',
+    'location/st-pete-beach/index.html',
+    'location/san-diego/index.html',
+    'collection/sunsets/index.html',
+    'stats/index.html',
+    'colour/index.html',
+  ]) {
+    assert.ok(exists(page), page);
+  }
+  const frame = fs.readFileSync(path.join(root, 'day/2026-03-14/0740/index.html'), 'utf8');
+  assert.match(frame, /https:\/\/example\.test\/static\/uploads\/IMG_0001_2026-03-14_0740\.jpeg/);
+});
+
+test('resolves collections against the built days', () => {
+  const index = readJson('content/index.json');
+  assert.deepEqual(index.collections.map(c => [c.id, c.images]), [['sunsets', 2]]);
+  const sunsets = readSrc(index.collections[0].src);
+  assert.ok(Array.isArray(sunsets));
+  assert.deepEqual(sunsets.map(img => `${img.date}/${img.slug}`), ['2026-03-14/1935', '2026-03-14/1935-2']);
+});
+
+test('computes stats', () => {
+  const stats = readSrc(readJson('content/index.json').stats);
+  assert.deepEqual(stats.totals, {
+    images: 7, photos: 6, videos: 1, days: 3, locations: 2, from: '2026-03-14', to: '2026-03-16',
+  });
+  assert.equal(stats.streaks.longest.days, 3);
+});
+
+test('keeps hero-manifest.json in step with the hero flags', () => {
+  assert.deepEqual(readJson('hero-manifest.json').map(e => e.src).sort(), [
+    '/static/uploads/IMG_0001_2026-03-14_0740.jpeg',
+    '/static/uploads/IMG_0004_2026-03-15_0655.jpeg',
+  ]);
+});
+
+test('writes feeds and a sitemap', () => {
+  assert.ok(exists('feed.xml'));
+  assert.equal(JSON.parse(fs.readFileSync(path.join(root, 'feed.json'), 'utf8')).items.length, 3);
+  const sitemap = fs.readFileSync(path.join(root, 'sitemap.xml'), 'utf8');
+  assert.match(sitemap, /https:\/\/example\.test\/collection\/sunsets\//);
+  const urls = sitemap.match(/<loc>/g).length;
+  assert.match(output, new RegExp(`sitemap\\.xml — ${urls} URLs`));
+});
+
+test('a second build reuses everything', () => {
+  const again = build();
+  assert.match(again, /Sidecars — 0 new, 0 changed, 7 unchanged/);
+  assert.match(again, /Built day\/ — 0 permalink pages written, \d+ unchanged/);
+});
@@ -0,0 +1,106 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — test/bursts.test.js
+// ============================================================
+//
+// lib/bursts.js — the parts that don't need ImageMagick: hash
+// distance, chaining frames into bursts, finding duplicates and
+// orphaned uploads.
+//
+// ============================================================
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const { distance, markBursts, findDuplicates, findOrphans, DUPLICATE_DISTANCE } = require('../lib/bursts');
+
+test('distance counts differing bits', () => {
+  assert.equal(distance('0000000000000000', '0000000000000000'), 0);
+  assert.equal(distance('0000000000000000', 'ffffffffffffffff'), 64);
+  assert.equal(distance('8000000000000001', '0000000000000000'), 2);
+  assert.equal(distance('00000000f0000000', '0000000000000000'), 4);
+});
+
+// Frames for markBursts: [time, tag, hash, hero?]
+function day(...frames) {
+  const images = frames.map(([time, tag, hash, hero = false]) =>
+    ({ time, tag, hero, slug: time.replace(':', '') }));
+  const hashes = new Map(images.map((img, i) => [img, frames[i][2]]).filter(([, hash]) => hash));
+  return { day: { images }, hashes };
+}
+
+test('markBursts chains close, similar frames and names each burst after its lead', () => {
+  const { day: d, hashes } = day(
+    ['18:40', 'sunset', '0000000000000000'],
+    ['18:42', 'sunset', '0000000000000007'],          // 3 bits from the one before
+    ['18:46', 'sunset', '000000000000003f', true],    // hero → lead
+    ['18:52', 'sunset', '000000000000003f'],          // 6 minutes on
+    ['18:53', 'sunset', 'ffffffffffffffff'],          // looks nothing alike
+  );
+  const bursts = markBursts(d, hashes);
+  assert.equal(bursts.length, 1);
+  assert.deepEqual(d.images.map(img => img.burst), [
+    { id: '1846', size: 3 }, { id: '1846', size: 3 }, { id: '1846', size: 3 }, undefined, undefined,
+  ]);
+});
+
+test('markBursts keeps sunrise and sunset apart and breaks on unhashed frames', () => {
+  const { day: d, hashes } = day(
+    ['11:58', 'sunrise', '0000000000000000'],
+    ['12:00', 'sunset',  '0000000000000000'],
+    ['12:01', 'sunrise', '0000000000000000'],
+    ['12:02', 'sunset',  null],
+    ['12:03', 'sunset',  '0000000000000000'],
+  );
+  markBursts(d, hashes);
+  assert.deepEqual(d.images.map(img => img.burst && img.burst.id), ['1158', undefined, '1158', undefined, undefined]);
+});
+
+test('findDuplicates finds the same pairs as comparing every frame with every other', () => {
+  // Random hashes, with near copies made by flipping up to 4 bits
+  let seed = 7;
+  const random = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+  const hex    = () => Array.from({ length: 16 }, () => Math.floor(random() * 16).toString(16)).join('');
+  const flip   = (hash, bits) => {
+    const digits = hash.split('').map(c => parseInt(c, 16));
+    for (let k = 0; k < bits; k++) {
+      const bit = Math.floor(random() * 64);
+      digits[bit >> 2] ^= 8 >> (bit & 3);
+    }
+    return digits.map(d => d.toString(16)).join('');
+  };
+  const frames = [];
+  for (let i = 0; i < 60; i++) {
+    const hash = hex();
+    frames.push({ hash, slug: String(frames.length) });
+    if (i % 3 === 0) frames.push({ hash: flip(hash, i % 5), slug: String(frames.length) });
+  }
+
+  const expected = [];
+  for (let i = 0; i < frames.length; i++) {
+    for (let j = i + 1; j < frames.length; j++) {
+      const d = distance(frames[i].hash, frames[j].hash);
+      if (d <= DUPLICATE_DISTANCE) expected.push({ a: frames[i], b: frames[j], distance: d });
+    }
+  }
+  assert.ok(expected.length > 5);
+  assert.deepEqual(findDuplicates(frames), expected);
+});
+
+test('findOrphans lists uploads no sidecar or day entry claims', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'boardshort-bursts-'));
+  try {
+    fs.mkdirSync(path.join(root, 'static', 'uploads'), { recursive: true });
+    for (const name of ['a.jpeg', 'b.jpeg', 'c.jpeg', 'd.mp4', '.DS_Store']) {
+      fs.writeFileSync(path.join(root, 'static', 'uploads', name), '');
+    }
+    const entries = [
+      { shape: 'sidecar', data: { src: '/static/uploads/a.jpeg' } },
+      { shape: 'day',     data: { images: [{ src: '/static/uploads/c.jpeg' }, {}] } },
+    ];
+    assert.deepEqual(findOrphans(entries, root), ['/static/uploads/b.jpeg', '/static/uploads/d.mp4']);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
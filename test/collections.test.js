@@ -0,0 +1,54 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — test/collections.test.js
+// ============================================================
+//
+// lib/collections.js — broken collection files and entries are
+// reported as problems and skipped, not fatal to the build.
+//
+// ============================================================
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const { loadCollections, resolveCollections } = require('../lib/collections');
+
+const days = [{
+  date:   '2026-03-14',
+  images: [
+    { date: '2026-03-14', slug: '0740', time: '07:40', tag: 'sunrise', type: 'image', sidecar: 'content/days/IMG_0001_2026-03-14_0740.json' },
+    { date: '2026-03-14', slug: '1935', time: '19:35', tag: 'sunset',  type: 'image' },
+  ],
+}];
+const registry = { resolve: () => null };
+
+test('resolveCollections skips blank entries, reporting each', () => {
+  const { collections, problems } = resolveCollections([
+    { id: 'picks', file: 'picks.json', title: 'Picks', images: [null, 'IMG_0001_2026-03-14_0740', '', { ref: '2026-03-14/1935' }] },
+  ], days, registry);
+  assert.deepEqual(collections[0].images.map(img => img.slug), ['0740', '1935']);
+  assert.deepEqual(problems.map(p => p.message), ['image 1 is empty — skipped', 'image 3 is empty — skipped']);
+});
+
+test('loadCollections reports a malformed file and the rest still build', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'boardshort-collections-'));
+  try {
+    const dir = path.join(root, 'content', 'collections');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'broken.json'), '{ "title": "Broken", ');
+    fs.writeFileSync(path.join(dir, 'list.json'), '[]');
+    fs.writeFileSync(path.join(dir, 'sunsets.json'), JSON.stringify({ title: 'Sunsets', images: [{ tag: 'sunset' }] }));
+
+    const { collections, problems } = resolveCollections(loadCollections(root), days, registry);
+    assert.deepEqual(collections.map(c => c.id), ['sunsets']);
+    assert.deepEqual(problems.map(p => p.file), [
+      path.join('content', 'collections', 'broken.json'),
+      path.join('content', 'collections', 'list.json'),
+    ]);
+    assert.match(problems[0].message, /^not valid JSON/);
+    assert.equal(problems[1].message, 'not a JSON object — skipped');
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,48 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — test/colours.test.js
+// ============================================================
+//
+// lib/colours.js — palettes and colour families from raw pixels,
+// and the manifest's per-family summary.
+//
+// ============================================================
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { describeColour, summariseColours } = require('../lib/colours');
+
+// Raw RGB bytes: [[r, g, b], count] runs
+function pixels(...runs) {
+  return Buffer.from(runs.flatMap(([rgb, n]) => Array(n).fill(rgb).flat()));
+}
+
+test('describeColour finds the dominant colour, palette and family', () => {
+  const colour = describeColour(pixels([[230, 120, 60], 300], [[40, 40, 45], 276]));
+  assert.equal(colour.dominant, '#e6783c');
+  assert.deepEqual(colour.palette, ['#e6783c', '#28282d']);
+  assert.equal(colour.family, 'orange');
+  assert.equal(colour.hue, 21);
+  assert.equal(colour.brightness, 37);
+});
+
+test('describeColour calls a washed-out frame grey, with no hue', () => {
+  const colour = describeColour(pixels([[128, 128, 130], 500], [[230, 120, 60], 50]));
+  assert.equal(colour.family, 'grey');
+  assert.equal(colour.hue, null);
+});
+
+test('describeColour counts pale reds as pink and merges near colours', () => {
+  const colour = describeColour(pixels([[240, 170, 190], 300], [[236, 166, 186], 100], [[90, 60, 140], 176]));
+  assert.equal(colour.family, 'pink');
+  assert.equal(colour.palette.length, 2);
+});
+
+test('summariseColours counts families in spectrum order', () => {
+  const img = rgb => ({ colour: describeColour(pixels([rgb, 10])) });
+  const summary = summariseColours([
+    { images: [img([128, 128, 130]), img([60, 90, 200])] },
+    { images: [img([230, 120, 60]), img([220, 110, 50]), {}] },
+  ]);
+  assert.deepEqual(summary.map(c => [c.family, c.images]), [['orange', 2], ['blue', 1], ['grey', 1]]);
+  assert.match(summary[0].swatch, /^#[0-9a-f]{6}$/);
+});
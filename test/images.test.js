@@ -0,0 +1,20 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — test/images.test.js
+// ============================================================
+//
+// lib/images.js — the parts that don't need ImageMagick.
+//
+// ============================================================
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { derivedBase } = require('../lib/images');
+
+test('derivedBase keeps sources that share a file name apart', () => {
+  const local = derivedBase('/static/uploads/IMG_3320.jpeg');
+  const r2    = derivedBase('https://media.example.com/IMG_3320.jpeg');
+  const other = derivedBase('https://cdn.example.org/IMG_3320.jpeg');
+  assert.match(local, /^IMG_3320-[0-9a-f]{8}$/);
+  assert.equal(new Set([local, r2, other]).size, 3);
+  assert.equal(derivedBase('/static/uploads/IMG_3320.jpeg?v=2'), local);
+});
@@ -0,0 +1,37 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — test/ingest.test.js
+// ============================================================
+//
+// lib/ingest.js — the part that doesn't need exiftool: which
+// EXIF / QuickTime tag a capture time comes from, and in which
+// zone.
+//
+// ============================================================
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { captureTime } = require('../lib/ingest');
+
+const zone = 'America/New_York';
+
+test('captureTime reads photos and Apple video as local time', () => {
+  assert.deepEqual(captureTime({ DateTimeOriginal: '2026:03:15 07:15:30' }, 'image', zone),
+    { date: '2026-03-15', time: '07:15' });
+  assert.deepEqual(captureTime({ CreationDate: '2026:03:15 19:40:02-04:00', CreateDate: '2026:03:15 23:40:02' },
+    'video', zone), { date: '2026-03-15', time: '19:40' });
+  assert.equal(captureTime({ DateTimeOriginal: '0000:00:00 00:00:00' }, 'image', zone), null);
+  assert.equal(captureTime({}, 'video', zone), null);
+});
+
+test('captureTime moves a video\'s UTC CreateDate into the zone, and says so', () => {
+  const at = captureTime({ CreateDate: '2026:03:16 00:40:02', Make: 'DJI' }, 'video', zone);
+  assert.equal(at.date, '2026-03-15');
+  assert.equal(at.time, '20:40');
+  assert.match(at.note, /UTC.*America\/New_York/);
+
+  // GoPros write local time there, and an offset says which it is
+  assert.deepEqual(captureTime({ CreateDate: '2026:03:16 00:40:02', Make: 'GoPro' }, 'video', zone),
+    { date: '2026-03-16', time: '00:40' });
+  assert.deepEqual(captureTime({ CreateDate: '2026:03:16 00:40:02+01:00' }, 'video', zone),
+    { date: '2026-03-16', time: '00:40' });
+});
@@ -0,0 +1,36 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — test/locations.test.js
+// ============================================================
+//
+// lib/locations.js — matching sidecar locations to the registry,
+// and blank ones taking their day's place.
+//
+// ============================================================
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const { loadLocations } = require('../lib/locations');
+
+test('placeRecords gives a state-only location the day\'s place instead of reporting it', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'boardshort-locations-'));
+  try {
+    fs.mkdirSync(path.join(root, 'content'));
+    fs.writeFileSync(path.join(root, 'content', 'locations.json'), JSON.stringify({ locations: [
+      { id: 'st-pete-beach', name: 'St. Pete Beach, FL', aliases: ['St Pete Beach'] },
+    ] }));
+    const registry = loadLocations(root);
+    const record   = (location, date = '2026-03-14') => ({ record: { date, location } });
+    const { records, unknown } = registry.placeRecords([
+      record('Saint Pete Beach'), record(', FL'), record(', '), record(' ,fl '), record(', FL', '2026-03-15'),
+    ]);
+    assert.deepEqual(records.map(r => r.record.location_id),
+      ['st-pete-beach', 'st-pete-beach', 'st-pete-beach', 'st-pete-beach', undefined]);
+    assert.equal(records[4].record.location, '');
+    assert.equal(unknown.size, 0);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,60 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — test/migrate.test.js
+// ============================================================
+//
+// lib/migrate.js — test/fixtures' sidecars to day entries and back
+// again come out as the same records.
+//
+// ============================================================
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const { migrate }     = require('../lib/migrate');
+const { readContent } = require('../lib/content');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// GPS on one of 2026-03-14's frames, and the same on both of 2026-03-15's
+const GPS = {
+  'IMG_0002_2026-03-14_1935.json': { lat: 27.7253, lng: -82.7412 },
+  'IMG_0004_2026-03-15_0655.json': { lat: 32.7157, lng: -117.1611 },
+  'IMG_0005_2026-03-15_1810.json': { lat: 32.7157, lng: -117.1611 },
+};
+
+function records(daysDir, root) {
+  return readContent(daysDir, root).records
+    .map(({ record }) => ({ src: record.src, lat: record.lat, lng: record.lng }))
+    .sort((a, b) => a.src.localeCompare(b.src));
+}
+
+test('--to days then --to sidecars keeps GPS on the frames that had it, and only those', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'boardshort-migrate-'));
+  const log  = console.log;
+  try {
+    fs.cpSync(FIXTURES, root, { recursive: true });
+    const daysDir = path.join(root, 'content', 'days');
+    for (const [file, gps] of Object.entries(GPS)) {
+      const sidecar = JSON.parse(fs.readFileSync(path.join(daysDir, file), 'utf8'));
+      fs.writeFileSync(path.join(daysDir, file), JSON.stringify({ ...sidecar, ...gps }));
+    }
+    const before = records(daysDir, root);
+
+    console.log = () => {};
+    migrate(daysDir, root, { to: 'days' });
+    const days = Object.fromEntries(fs.readdirSync(daysDir).map(file =>
+      [file, JSON.parse(fs.readFileSync(path.join(daysDir, file), 'utf8'))]));
+    assert.equal(days['2026-03-14.json'].lat, undefined);
+    assert.equal(days['2026-03-15.json'].lat, 32.7157);
+    assert.deepEqual(records(daysDir, root), before);
+
+    migrate(daysDir, root, { to: 'sidecars' });
+    console.log = log;
+    assert.deepEqual(records(daysDir, root), before);
+  } finally {
+    console.log = log;
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,114 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — test/model.test.js
+// ============================================================
+//
+// lib/model.js — the rules build.js and site.js share. Run with
+// `node --test` from the repo root.
+//
+// ============================================================
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isHero, getTag, compareTime, assignSlugs, normaliseImage,
+  calcCols, getWeekSunday, groupByWeek, degreesToCardinal, formatWeather,
+} = require('../lib/model');
+
+test('isHero accepts true and "true" only', () => {
+  assert.equal(isHero(true), true);
+  assert.equal(isHero('true'), true);
+  for (const value of [false, 'false', '', null, undefined, 1, 'TRUE']) {
+    assert.equal(isHero(value), false, JSON.stringify(value));
+  }
+});
+
+test('getTag splits the day at 12:00', () => {
+  assert.equal(getTag('00:00'), 'sunrise');
+  assert.equal(getTag('11:59'), 'sunrise');
+  assert.equal(getTag('12:00'), 'sunset');
+  assert.equal(getTag('23:59'), 'sunset');
+  assert.equal(getTag(''), 'sunrise');
+});
+
+test('compareTime orders by HH:MM, blanks first, and is stable for ties', () => {
+  const images = [{ time: '19:35', n: 1 }, { time: '07:40' }, {}, { time: '19:35', n: 2 }, { time: '12:00' }];
+  assert.deepEqual(images.sort(compareTime).map(img => `${img.time || ''}${img.n ? `#${img.n}` : ''}`),
+    ['', '07:40', '12:00', '19:35#1', '19:35#2']);
+});
+
+test('assignSlugs numbers images shot in the same minute', () => {
+  const day = { images: [{ time: '07:40' }, { time: '19:35' }, { time: '19:35' }, { time: '19:35' }] };
+  assert.deepEqual(assignSlugs(day).images.map(img => img.slug), ['0740', '1935', '1935-2', '1935-3']);
+});
+
+test('assignSlugs keeps slugs already set', () => {
+  const day = { images: [{ time: '19:35', slug: '1935' }, { time: '19:35', slug: '1935-2' }, { time: '19:35' }] };
+  assert.deepEqual(assignSlugs(day).images.map(img => img.slug), ['1935', '1935-2', '1935-3']);
+});
+
+test('normaliseImage fills in date and tag and makes hero boolean', () => {
+  const day = { date: '2026-03-14' };
+  assert.deepEqual(normaliseImage({ time: '19:35', hero: 'true', tag: '' }, day),
+    { time: '19:35', date: '2026-03-14', hero: true, tag: 'sunset' });
+  assert.deepEqual(normaliseImage({ time: '07:40', date: '2026-03-15', hero: '', tag: 'sunset' }, day),
+    { time: '07:40', date: '2026-03-15', hero: false, tag: 'sunset' });
+});
+
+test('normaliseImage leaves its input alone', () => {
+  const img = { time: '07:40', hero: 'true' };
+  normaliseImage(img, { date: '2026-03-14' });
+  assert.deepEqual(img, { time: '07:40', hero: 'true' });
+});
+
+test('calcCols always leaves a gap column', () => {
+  for (const cols of [7, 9, 11, 13]) {
+    for (const [sr, ss] of [[0, 0], [1, 1], [3, 2], [20, 0], [0, 20], [20, 20]]) {
+      const { sunriseCols, sunsetCols, gapCols } = calcCols(sr, ss, cols);
+      assert.equal(sunriseCols + sunsetCols + gapCols, cols, `${sr}/${ss} in ${cols}`);
+      assert.ok(gapCols >= 1, `${sr}/${ss} in ${cols}`);
+      assert.ok(sunriseCols <= sr && sunsetCols <= ss, `${sr}/${ss} in ${cols}`);
+    }
+  }
+});
+
+test('calcCols splits a busy day evenly and lends unused columns', () => {
+  assert.deepEqual(calcCols(20, 20, 13), { sunriseCols: 6, sunsetCols: 6, gapCols: 1 });
+  assert.deepEqual(calcCols(20, 20, 7),  { sunriseCols: 3, sunsetCols: 3, gapCols: 1 });
+  assert.deepEqual(calcCols(2, 20, 13),  { sunriseCols: 2, sunsetCols: 10, gapCols: 1 });
+  assert.deepEqual(calcCols(20, 2, 13),  { sunriseCols: 10, sunsetCols: 2, gapCols: 1 });
+  assert.deepEqual(calcCols(2, 3, 13),   { sunriseCols: 2, sunsetCols: 3, gapCols: 8 });
+});
+
+test('getWeekSunday finds the Sunday on or before a date', () => {
+  assert.equal(getWeekSunday('2026-03-15'), '2026-03-15');   // a Sunday
+  assert.equal(getWeekSunday('2026-03-14'), '2026-03-08');   // Saturday
+  assert.equal(getWeekSunday('2026-03-16'), '2026-03-15');
+  assert.equal(getWeekSunday('2026-01-01'), '2025-12-28');   // across the year
+  assert.equal(getWeekSunday('2026-03-08'), '2026-03-08');   // DST starts — no drift
+});
+
+test('groupByWeek groups newest week first and keeps day order', () => {
+  const days  = ['2026-03-16', '2026-03-15', '2026-03-14', '2026-03-08', '2026-03-07'].map(date => ({ date }));
+  const weeks = groupByWeek(days);
+  assert.deepEqual(weeks.map(w => [w.sunday, w.days.map(d => d.date)]), [
+    ['2026-03-15', ['2026-03-16', '2026-03-15']],
+    ['2026-03-08', ['2026-03-14', '2026-03-08']],
+    ['2026-03-01', ['2026-03-07']],
+  ]);
+});
+
+test('degreesToCardinal rounds to eight points and is blank without a direction', () => {
+  assert.equal(degreesToCardinal(0), 'N');
+  assert.equal(degreesToCardinal(350), 'N');
+  assert.equal(degreesToCardinal(225), 'SW');
+  for (const deg of [null, undefined, NaN, '90']) assert.equal(degreesToCardinal(deg), '');
+});
+
+test('formatWeather writes imperial or metric and leaves out what is missing', () => {
+  const w = { temp: 18, conditions: 'Clear sky', wind_speed: 4, wind_deg: 225 };
+  assert.equal(formatWeather(w), '64°F · Clear sky · Wind SW 9mph');
+  assert.equal(formatWeather(w, 'metric'), '18°C · Clear sky · Wind SW 14km/h');
+  assert.equal(formatWeather({ wind_speed: 4, wind_deg: null }), 'Wind 9mph');
+  assert.equal(formatWeather('55°F Partly Cloudy'), '55°F Partly Cloudy');
+  assert.equal(formatWeather(null), '');
+});
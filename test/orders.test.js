@@ -0,0 +1,32 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — test/orders.test.js
+// ============================================================
+//
+// lib/orders.js — request bodies handleOrder turns away before
+// looking an order up.
+//
+// ============================================================
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const { handleOrder } = require('../lib/orders');
+
+test('handleOrder answers 400 to JSON that is not an object', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'boardshort-orders-'));
+  try {
+    fs.mkdirSync(path.join(root, 'content'));
+    fs.writeFileSync(path.join(root, 'content', 'settings.json'),
+      JSON.stringify({ prints: { sizes: [], papers: [] } }));
+    const deliver = () => assert.fail('nothing should be delivered');
+    for (const body of ['null', '[]', '42']) {
+      assert.deepEqual(await handleOrder({ method: 'POST', body }, root, { deliver }),
+        { status: 400, body: { errors: ['Order must be a JSON object'] } });
+    }
+    assert.equal((await handleOrder({ method: 'POST', body: '{' }, root, { deliver })).status, 400);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,31 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — test/sun.test.js
+// ============================================================
+//
+// lib/sun.js — sunrise / sunset tags and light for a sidecar
+// record, in the zone the record was shot in.
+//
+// ============================================================
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { deriveLight } = require('../lib/sun');
+
+const settings = { default_lat: 32.7157, default_lng: -117.1611, default_timezone: 'America/Los_Angeles' };
+
+test('deriveLight reads the time in the zone of the location\'s state, not the default', () => {
+  // Sunset at St. Pete Beach on 2026-03-15 is about 19:43 Eastern
+  const record = { date: '2026-03-15', time: '19:40', location: 'Pass-a-Grille, FL', lat: 27.6864, lng: -82.7375 };
+  const { tag, light } = deriveLight(record, settings);
+  assert.equal(tag, 'sunset');
+  assert.ok(Math.abs(light.minutes) < 15, `${light.minutes} min from sunset`);
+  assert.notEqual(light.phase, 'night');
+});
+
+test('deriveLight keeps a tag set by hand and prefers the record\'s own zone', () => {
+  const record = { date: '2026-03-15', time: '16:40', location: 'Pass-a-Grille, FL', timezone: 'America/Los_Angeles',
+    lat: 27.6864, lng: -82.7375, tag: 'sunrise' };
+  const { tag, light } = deriveLight(record, settings);
+  assert.equal(tag, 'sunrise');
+  assert.ok(Math.abs(light.minutes) < 15, `${light.minutes} min from sunset`);
+});
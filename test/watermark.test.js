@@ -0,0 +1,75 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — test/watermark.test.js
+// ============================================================
+//
+// lib/watermark.js — the parts that don't need ImageMagick or
+// exiftool: settings, the arguments handed to each, and which
+// uploads the deploy leaves out.
+//
+// ============================================================
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const { watermarkOf, watermarkArgs, metadataFor, metadataArgs, withheldOriginals } = require('../lib/watermark');
+
+test('watermarkOf fills in defaults, and is null without text or a logo', () => {
+  assert.equal(watermarkOf({}), null);
+  assert.equal(watermarkOf({ watermark: { position: 'top' } }), null);
+  assert.deepEqual(watermarkOf({ watermark: { text: '©', opacity: 3 } }),
+    { text: '©', position: 'bottom-right', opacity: 1, size: 0.022, colour: '#ffffff' });
+  assert.throws(() => watermarkOf({ watermark: { text: '©', position: 'middle' } }), /watermark\.position "middle"/);
+  assert.throws(() => watermarkOf({ watermark: { text: '©', colour: 'white' } }), /watermark\.colour/);
+});
+
+test('watermarkArgs sizes the mark to the derivative', () => {
+  const mark = watermarkOf({ watermark: { text: '© B', opacity: 0.6, size: 0.02 } });
+  assert.deepEqual(watermarkArgs(mark, 1600, '/site'),
+    ['-gravity', 'SouthEast', '-pointsize', '32', '-fill', '#ffffff99', '-annotate', '+26+26', '© B']);
+
+  const logo = watermarkOf({ watermark: { logo: 'static/mark.png', position: 'top-left', opacity: 0.5 } });
+  const args = watermarkArgs(logo, 960, '/site');
+  assert.deepEqual(args.slice(0, 4), ['(', path.join('/site', 'static/mark.png'), '-resize', 'x21']);
+  assert.deepEqual(args.slice(-5), ['-gravity', 'NorthWest', '-geometry', '+17+17', '-composite']);
+  assert.ok(args.includes('0.5'));
+});
+
+test('metadataFor names the creator and licence, and captions uncaptioned frames', () => {
+  const settings = {
+    photographer: 'Boardshort Photography',
+    licence:      { name: 'CC BY-NC-ND 4.0', url: 'https://creativecommons.org/licenses/by-nc-nd/4.0/' },
+  };
+  const day  = { date: '2026-03-15', location: 'San Diego, CA' };
+  const meta = metadataFor({ tag: 'sunset' }, day, settings);
+  assert.deepEqual(meta, {
+    creator:   'Boardshort Photography',
+    copyright: '© 2026 Boardshort Photography — CC BY-NC-ND 4.0',
+    url:       'https://creativecommons.org/licenses/by-nc-nd/4.0/',
+    caption:   'Sunset · San Diego, CA · 2026-03-15',
+  });
+  assert.equal(metadataFor({ caption: 'Glass-off' }, day, settings).caption, 'Glass-off');
+  assert.ok(metadataArgs(meta).includes('-XMP-cc:License=https://creativecommons.org/licenses/by-nc-nd/4.0/'));
+  assert.equal(metadataFor({}, day, {}), null);
+});
+
+test('withheldOriginals lists watermarked uploads from the built chunks', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'boardshort-watermark-'));
+  try {
+    fs.mkdirSync(path.join(root, 'content', 'index'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'content', 'index.json'),
+      JSON.stringify({ chunks: [{ id: '2026-03', src: '/content/index/2026-03.json?v=abc' }] }));
+    fs.writeFileSync(path.join(root, 'content', 'index', '2026-03.json'), JSON.stringify([
+      { date: '2026-03-15', images: [
+        { src: '/static/uploads/b.jpeg', watermarked: true },
+        { src: '/static/uploads/a.jpeg' },
+        { src: 'https://media.example.com/c.jpeg', watermarked: true },
+      ] },
+      { date: '2026-03-14', images: [{ src: '/static/uploads/a2.jpeg', watermarked: true }] },
+    ]));
+    assert.deepEqual(withheldOriginals(root), ['static/uploads/a2.jpeg', 'static/uploads/b.jpeg']);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
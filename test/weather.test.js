@@ -0,0 +1,70 @@
+// ============================================================
+// BOARDSHORT PHOTOGRAPHY — test/weather.test.js
+// ============================================================
+//
+// lib/weather.js — enrichWeather with a stand-in provider: how
+// many lookups run at once, and how many a build makes.
+//
+// ============================================================
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const { enrichWeather } = require('../lib/weather');
+
+const settings = { default_timezone: 'America/New_York' };
+
+// One day of frames an hour apart, all at the same spot
+function day(count) {
+  const images = Array.from({ length: count }, (_, i) => ({
+    src: `/static/uploads/${i}.jpeg`, date: '2026-03-15', time: `${String(i).padStart(2, '0')}:10`,
+    lat: 27.72, lng: -82.74,
+  }));
+  return [{ date: '2026-03-15', images }];
+}
+
+// Resolves each lookup a tick later, noting the most in flight
+function slowProvider() {
+  const provider = {
+    name: 'stub', persist: false, calls: 0, inFlight: 0, most: 0,
+    async lookup() {
+      provider.calls++;
+      provider.most = Math.max(provider.most, ++provider.inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      provider.inFlight--;
+      return { temp: 20, conditions: 'Clear', source: 'stub' };
+    },
+  };
+  return provider;
+}
+
+function inTempRoot(fn) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'boardshort-weather-'));
+  return Promise.resolve(fn(root)).finally(() => fs.rmSync(root, { recursive: true, force: true }));
+}
+
+test('enrichWeather runs a few lookups at a time and one per place and hour', () => inTempRoot(async root => {
+  const days     = day(10);
+  days[0].images.push({ ...days[0].images[0], src: '/static/uploads/again.jpeg' });
+  const provider = slowProvider();
+  const stats    = await enrichWeather(days, root, settings, provider, {});
+
+  assert.equal(provider.calls, 10);
+  assert.ok(provider.most > 1 && provider.most <= 4, `${provider.most} lookups at once`);
+  assert.equal(stats.fetched, 11);
+  assert.equal(stats.deferred, 0);
+  assert.ok(days[0].images.every(img => img.weather?.conditions === 'Clear'));
+}));
+
+test('enrichWeather leaves lookups past WEATHER_MAX_LOOKUPS for a later build', () => inTempRoot(async root => {
+  const days     = day(10);
+  const provider = slowProvider();
+  const stats    = await enrichWeather(days, root, settings, provider, { WEATHER_MAX_LOOKUPS: '3' });
+
+  assert.equal(provider.calls, 3);
+  assert.equal(stats.fetched, 3);
+  assert.equal(stats.deferred, 7);
+  assert.equal(days[0].images.filter(img => img.weather === null).length, 7);
+}));